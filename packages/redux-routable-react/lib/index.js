@@ -1,16 +1,38 @@
 import PropTypes from 'prop-types'
-import React, { createContext, useContext, useEffect, useState } from 'react'
+import React, {
+  Component,
+  Suspense,
+  createContext,
+  lazy,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from 'react'
 import { useDispatch } from 'react-redux'
 import {
   LocationMatchError,
   RouteMatchError,
   Router,
+  block,
+  breadcrumbs,
+  cancelNavigation,
+  confirmNavigation,
+  createStaticHistory,
+  getLocales,
+  go,
+  goBack,
+  goForward,
   locationToRoute,
   match,
   open,
+  prefetch,
   push,
   replace,
   routeToLocation,
+  unblock,
 } from 'redux-routable'
 
 const HistoryContext = createContext()
@@ -18,35 +40,38 @@ const RouterContext = createContext()
 const CurrentRouteContext = createContext()
 
 // Routable Component
-export const Routable = ({ router, history, children }) => {
-  const [currentRoute, setCurrentRoute] = useState(() => {
-    try {
-      return locationToRoute(router, history.location).route
-    } catch (error) {
-      if (error instanceof LocationMatchError) {
-        return null
-      } else {
-        throw error
-      }
+const resolveCurrentRoute = (router, location) => {
+  try {
+    const { route, params, hash } = locationToRoute(router, location)
+
+    return { route, params, hash }
+  } catch (error) {
+    if (error instanceof LocationMatchError) {
+      return null
+    } else {
+      throw error
     }
-  })
+  }
+}
+
+export const Routable = ({ router, history, location, children }) => {
+  const routableHistory = useMemo(
+    () => history || createStaticHistory(location),
+    [history, location],
+  )
+
+  const [currentRoute, setCurrentRoute] = useState(() =>
+    resolveCurrentRoute(router, routableHistory.location),
+  )
 
   useEffect(() => {
-    return history.listen(location => {
-      try {
-        setCurrentRoute(locationToRoute(router, location).route)
-      } catch (error) {
-        if (error instanceof LocationMatchError) {
-          setCurrentRoute(null)
-        } else {
-          throw error
-        }
-      }
+    return routableHistory.listen(location => {
+      setCurrentRoute(resolveCurrentRoute(router, location))
     })
-  }, [router, history, setCurrentRoute])
+  }, [router, routableHistory, setCurrentRoute])
 
   return (
-    <HistoryContext.Provider value={history}>
+    <HistoryContext.Provider value={routableHistory}>
       <RouterContext.Provider value={router}>
         <CurrentRouteContext.Provider value={currentRoute}>
           {children}
@@ -58,11 +83,21 @@ export const Routable = ({ router, history, children }) => {
 
 Routable.propTypes = {
   router: PropTypes.instanceOf(Router).isRequired,
-  history: PropTypes.object.isRequired,
+  history: PropTypes.object,
+  location: PropTypes.oneOfType([PropTypes.string, PropTypes.object]),
   children: PropTypes.node.isRequired,
 }
 
 // Match Component
+const renderContent = (content, currentRoute) => {
+  const rendered =
+    typeof content === 'function'
+      ? content(currentRoute === null ? {} : currentRoute.params)
+      : content
+
+  return rendered === undefined ? null : rendered
+}
+
 export const Match = ({ on, children }) => {
   const currentRoute = useContext(CurrentRouteContext)
 
@@ -70,28 +105,191 @@ export const Match = ({ on, children }) => {
     return null
   }
 
-  return match(currentRoute.name, on) ? children : null
+  return match(currentRoute.route.name, on)
+    ? renderContent(children, currentRoute)
+    : null
 }
 
 Match.propTypes = {
   on: PropTypes.any.isRequired,
+  children: PropTypes.oneOfType([PropTypes.node, PropTypes.func]).isRequired,
+}
+
+// Switch Component
+export const Switch = ({ routes, otherwise, children }) => {
+  const currentRoute = useContext(CurrentRouteContext)
+  const branches = React.Children.toArray(children)
+    .map(({ props }) => ({ on: props.on, render: props.children }))
+    .concat(routes)
+  const branch =
+    currentRoute === null
+      ? undefined
+      : branches.find(({ on }) => match(currentRoute.route.name, on))
+
+  return renderContent(branch ? branch.render : otherwise, currentRoute)
+}
+
+Switch.propTypes = {
+  routes: PropTypes.arrayOf(
+    PropTypes.shape({
+      on: PropTypes.any.isRequired,
+      render: PropTypes.oneOfType([PropTypes.node, PropTypes.func]).isRequired,
+    }),
+  ),
+  otherwise: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+  children: PropTypes.node,
+}
+
+Switch.defaultProps = {
+  routes: [],
+  otherwise: null,
+}
+
+// Lazy Routes
+class RouteErrorBoundary extends Component {
+  constructor(props) {
+    super(props)
+    this.state = { error: null }
+  }
+
+  static getDerivedStateFromError(error) {
+    return { error }
+  }
+
+  render() {
+    const { error } = this.state
+    const { fallback, retry, children } = this.props
+
+    if (error === null) return children
+
+    return typeof fallback === 'function' ? fallback(error, retry) : fallback
+  }
+}
+
+RouteErrorBoundary.propTypes = {
+  fallback: PropTypes.oneOfType([PropTypes.node, PropTypes.func]),
+  retry: PropTypes.func.isRequired,
   children: PropTypes.node.isRequired,
 }
 
-// Link Component
-const linkActionCreators = { push, replace, open }
+export const lazyRoute = (factory, options = {}) => {
+  const { fallback = null, error } = options
+  let loading
+  let LazyComponent
 
-const isModifiedEvent = event =>
-  event.metaKey || event.altKey || event.ctrlKey || event.shiftKey
+  const preload = () => {
+    if (loading === undefined) {
+      loading = factory().then(undefined, loadError => {
+        loading = undefined
+        LazyComponent = lazy(preload)
+        throw loadError
+      })
+    }
+
+    return loading
+  }
+
+  LazyComponent = lazy(preload)
+
+  const LazyRoute = props => {
+    const [attempt, setAttempt] = useState(0)
+    const retry = useCallback(() => setAttempt(attempt => attempt + 1), [])
+    const suspended = (
+      <Suspense fallback={fallback}>
+        <LazyComponent {...props} />
+      </Suspense>
+    )
+
+    return error === undefined ? (
+      suspended
+    ) : (
+      <RouteErrorBoundary key={attempt} fallback={error} retry={retry}>
+        {suspended}
+      </RouteErrorBoundary>
+    )
+  }
+
+  LazyRoute.preload = preload
+
+  return LazyRoute
+}
 
-export let Link = ({ action, route, params, hash, onClick, ...props }, ref) => {
+// Hooks
+export const useRoute = () => {
+  const currentRoute = useContext(CurrentRouteContext)
+
+  return currentRoute === null ? null : currentRoute.route.name
+}
+
+export const useParams = () => {
+  const currentRoute = useContext(CurrentRouteContext)
+
+  return currentRoute === null ? {} : currentRoute.params
+}
+
+export const useHash = () => {
+  const currentRoute = useContext(CurrentRouteContext)
+
+  return currentRoute === null ? '' : currentRoute.hash
+}
+
+export const useRouteMeta = () => {
+  const currentRoute = useContext(CurrentRouteContext)
+
+  return currentRoute === null ? {} : currentRoute.route.meta || {}
+}
+
+export const useBreadcrumbs = () => {
+  const router = useContext(RouterContext)
+  const currentRoute = useContext(CurrentRouteContext)
+
+  return useMemo(
+    () =>
+      currentRoute === null
+        ? []
+        : breadcrumbs(router, currentRoute.route.name, currentRoute.params),
+    [router, currentRoute],
+  )
+}
+
+export const useMatch = matchable => {
+  const currentRoute = useContext(CurrentRouteContext)
+
+  return currentRoute !== null && match(currentRoute.route.name, matchable)
+}
+
+export const useNavigate = () => {
   const dispatch = useDispatch()
+
+  return useMemo(
+    () => ({
+      push: (...args) => dispatch(push(...args)),
+      replace: (...args) => dispatch(replace(...args)),
+      open: (...args) => dispatch(open(...args)),
+      go: offset => dispatch(go(offset)),
+      goBack: () => dispatch(goBack()),
+      goForward: () => dispatch(goForward()),
+    }),
+    [dispatch],
+  )
+}
+
+export const useHref = (route, params = {}, hash = '') => {
   const history = useContext(HistoryContext)
   const router = useContext(RouterContext)
-  let location
+  const currentRoute = useContext(CurrentRouteContext)
+  const locale =
+    params.locale === undefined &&
+    currentRoute !== null &&
+    getLocales(router, route).includes(currentRoute.params.locale)
+      ? currentRoute.params.locale
+      : params.locale
+  const localizedParams = locale === undefined ? params : { ...params, locale }
 
   try {
-    location = routeToLocation(router, route, params, hash)
+    return history.createHref(
+      routeToLocation(router, route, localizedParams, hash),
+    )
   } catch (error) {
     if (error instanceof RouteMatchError) {
       console.error(error)
@@ -100,8 +298,108 @@ export let Link = ({ action, route, params, hash, onClick, ...props }, ref) => {
       throw error
     }
   }
+}
+
+// Link Component
+const linkActionCreators = { push, replace, open }
+
+const isModifiedEvent = event =>
+  event.metaKey || event.altKey || event.ctrlKey || event.shiftKey
+
+const prefetchDelay = 100
+
+const useLinkPrefetch = (when, route, params, href) => {
+  const dispatch = useDispatch()
+  const element = useRef(null)
+  const timer = useRef()
+  const latest = useRef()
+
+  latest.current = { route, params }
+
+  const start = useCallback(() => {
+    dispatch(prefetch(latest.current.route, latest.current.params))
+  }, [dispatch])
+
+  const schedule = useCallback(() => {
+    window.clearTimeout(timer.current)
+    timer.current = window.setTimeout(start, prefetchDelay)
+  }, [start])
+
+  const cancel = useCallback(() => window.clearTimeout(timer.current), [])
+
+  useEffect(() => cancel, [cancel])
+
+  useEffect(() => {
+    if (when === 'render' && href !== null) start()
+  }, [when, href, start])
+
+  useEffect(() => {
+    if (
+      when !== 'visible' ||
+      href === null ||
+      element.current === null ||
+      !window.IntersectionObserver
+    ) {
+      return
+    }
+
+    const observer = new window.IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) {
+        schedule()
+      } else {
+        cancel()
+      }
+    })
+
+    observer.observe(element.current)
+
+    return () => observer.disconnect()
+  }, [when, href, schedule, cancel])
+
+  return { element, schedule, cancel }
+}
+
+export let Link = (
+  {
+    action,
+    route,
+    params,
+    hash,
+    state,
+    prefetch: prefetchOn,
+    onClick,
+    onMouseEnter,
+    onMouseLeave,
+    onFocus,
+    onBlur,
+    ...props
+  },
+  ref,
+) => {
+  const dispatch = useDispatch()
+  const href = useHref(route, params, hash)
+  const { element, schedule, cancel } = useLinkPrefetch(
+    prefetchOn,
+    route,
+    params,
+    href,
+  )
+
+  const setRef = useCallback(
+    node => {
+      element.current = node
+
+      if (typeof ref === 'function') {
+        ref(node)
+      } else if (ref) {
+        ref.current = node
+      }
+    },
+    [element, ref],
+  )
+
+  if (href === null) return null
 
-  const href = history.createHref(location)
   const target = props.target || '_self'
 
   const handleClick = event => {
@@ -114,14 +412,30 @@ export let Link = ({ action, route, params, hash, onClick, ...props }, ref) => {
       !isModifiedEvent(event)
     ) {
       const actionCreator = linkActionCreators[action]
-      const linkAction = actionCreator(route, params, hash)
+      const linkAction = actionCreator(route, params, hash, state)
 
       event.preventDefault()
       dispatch(linkAction)
     }
   }
 
-  return <a {...props} ref={ref} href={href} onClick={handleClick} />
+  const withHoverPrefetch = (handler, prefetchAction) => event => {
+    if (handler) handler(event)
+    if (prefetchOn === 'hover') prefetchAction()
+  }
+
+  return (
+    <a
+      {...props}
+      ref={setRef}
+      href={href}
+      onClick={handleClick}
+      onMouseEnter={withHoverPrefetch(onMouseEnter, schedule)}
+      onMouseLeave={withHoverPrefetch(onMouseLeave, cancel)}
+      onFocus={withHoverPrefetch(onFocus, schedule)}
+      onBlur={withHoverPrefetch(onBlur, cancel)}
+    />
+  )
 }
 
 Link = React.forwardRef(Link)
@@ -131,8 +445,14 @@ Link.propTypes = {
   route: PropTypes.string.isRequired,
   params: PropTypes.objectOf(PropTypes.any),
   hash: PropTypes.string,
+  state: PropTypes.any,
+  prefetch: PropTypes.oneOf(['hover', 'visible', 'render']),
   target: PropTypes.string,
   onClick: PropTypes.func,
+  onMouseEnter: PropTypes.func,
+  onMouseLeave: PropTypes.func,
+  onFocus: PropTypes.func,
+  onBlur: PropTypes.func,
 }
 
 Link.defaultProps = {
@@ -140,3 +460,235 @@ Link.defaultProps = {
   params: {},
   hash: '',
 }
+
+// NavLink Component
+const isEqualParam = (a, b) => a === b || String(a) === String(b)
+
+export let NavLink = (
+  { on, matchParams, activeClassName, activeStyle, className, style, ...props },
+  ref,
+) => {
+  const currentRoute = useContext(CurrentRouteContext)
+  const { route, params } = props
+  const active =
+    currentRoute !== null &&
+    match(currentRoute.route.name, on === undefined ? route : on) &&
+    (!matchParams ||
+      Object.entries(params).every(([key, value]) =>
+        isEqualParam(currentRoute.params[key], value),
+      ))
+
+  return (
+    <Link
+      {...props}
+      ref={ref}
+      className={
+        active
+          ? [className, activeClassName].filter(Boolean).join(' ')
+          : className
+      }
+      style={active ? { ...style, ...activeStyle } : style}
+      aria-current={active ? 'page' : undefined}
+    />
+  )
+}
+
+NavLink = React.forwardRef(NavLink)
+
+NavLink.propTypes = {
+  ...Link.propTypes,
+  on: PropTypes.any,
+  matchParams: PropTypes.bool,
+  activeClassName: PropTypes.string,
+  activeStyle: PropTypes.object,
+  className: PropTypes.string,
+  style: PropTypes.object,
+}
+
+NavLink.defaultProps = {
+  ...Link.defaultProps,
+  matchParams: false,
+  activeClassName: 'active',
+}
+
+// Breadcrumbs Component
+export const Breadcrumbs = ({ separator, ...props }) => {
+  const route = useRoute()
+  const crumbs = useBreadcrumbs()
+
+  if (crumbs.length === 0) return null
+
+  return (
+    <nav aria-label="Breadcrumb" {...props}>
+      <ol>
+        {crumbs.map((crumb, index) => (
+          <li key={index}>
+            {index > 0 && separator !== null && (
+              <span aria-hidden="true">{separator}</span>
+            )}
+            {crumb.route === route || crumb.href === null ? (
+              <span aria-current={crumb.route === route ? 'page' : undefined}>
+                {crumb.label}
+              </span>
+            ) : (
+              <Link route={crumb.route} params={crumb.params}>
+                {crumb.label}
+              </Link>
+            )}
+          </li>
+        ))}
+      </ol>
+    </nav>
+  )
+}
+
+Breadcrumbs.propTypes = {
+  separator: PropTypes.node,
+}
+
+Breadcrumbs.defaultProps = {
+  separator: '›',
+}
+
+// Accessibility
+const visuallyHidden = {
+  position: 'absolute',
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: 'hidden',
+  clip: 'rect(0, 0, 0, 0)',
+  whiteSpace: 'nowrap',
+  border: 0,
+}
+
+const useRouteChange = effect => {
+  const currentRoute = useContext(CurrentRouteContext)
+  const initial = useRef(true)
+  const latest = useRef()
+
+  latest.current = effect
+
+  useEffect(() => {
+    if (initial.current) {
+      initial.current = false
+      return
+    }
+
+    return latest.current(currentRoute)
+  }, [currentRoute])
+}
+
+const defaultAnnouncement = route => window.document.title || route || ''
+
+export const RouteAnnouncer = ({ message }) => {
+  const [announcement, setAnnouncement] = useState('')
+
+  useRouteChange(currentRoute => {
+    const timer = window.setTimeout(() => {
+      if (currentRoute === null) {
+        setAnnouncement(message(null, {}))
+      } else {
+        setAnnouncement(message(currentRoute.route.name, currentRoute.params))
+      }
+    })
+
+    return () => window.clearTimeout(timer)
+  })
+
+  return (
+    <div
+      role="status"
+      aria-live="polite"
+      aria-atomic="true"
+      style={visuallyHidden}
+    >
+      {announcement}
+    </div>
+  )
+}
+
+RouteAnnouncer.propTypes = {
+  message: PropTypes.func,
+}
+
+RouteAnnouncer.defaultProps = {
+  message: defaultAnnouncement,
+}
+
+export const useRouteFocus = () => {
+  const ref = useRef(null)
+
+  useRouteChange(currentRoute => {
+    const element = ref.current
+
+    if (element === null) return
+    if (currentRoute !== null && currentRoute.route.options.focus === false) {
+      return
+    }
+
+    if (!element.hasAttribute('tabindex')) {
+      element.setAttribute('tabindex', '-1')
+    }
+
+    element.focus()
+  })
+
+  return ref
+}
+
+// Blocking
+export const useBlocker = (when = true) => {
+  const dispatch = useDispatch()
+  const [blocked, setBlocked] = useState(null)
+
+  useEffect(() => {
+    if (!when) return
+
+    const key = {}
+
+    dispatch(block(key, setBlocked))
+
+    return () => dispatch(unblock(key))
+  }, [when, dispatch, setBlocked])
+
+  const confirm = useCallback(() => {
+    setBlocked(null)
+    dispatch(confirmNavigation())
+  }, [dispatch, setBlocked])
+
+  const cancel = useCallback(() => {
+    setBlocked(null)
+    dispatch(cancelNavigation())
+  }, [dispatch, setBlocked])
+
+  return { blocked, confirm, cancel }
+}
+
+export const Prompt = ({ when, message }) => {
+  const { blocked, confirm, cancel } = useBlocker(when)
+
+  useEffect(() => {
+    if (blocked === null) return
+
+    const text = typeof message === 'function' ? message(blocked) : message
+
+    if (window.confirm(text)) {
+      confirm()
+    } else {
+      cancel()
+    }
+  }, [blocked, message, confirm, cancel])
+
+  return null
+}
+
+Prompt.propTypes = {
+  when: PropTypes.bool,
+  message: PropTypes.oneOfType([PropTypes.string, PropTypes.func]).isRequired,
+}
+
+Prompt.defaultProps = {
+  when: true,
+}
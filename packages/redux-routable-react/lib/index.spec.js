@@ -3,8 +3,36 @@ import React from 'react'
 import { Provider } from 'react-redux'
 import { act, create } from 'react-test-renderer'
 import configureStore from 'redux-mock-store'
-import { ROUTE_CHANGED, Route, Router, createMiddleware } from 'redux-routable'
-import { Link, Match, Routable } from './index'
+import {
+  NAVIGATION_BLOCKED,
+  ROUTE_CHANGED,
+  Route,
+  Router,
+  Scope,
+  createMiddleware,
+  push,
+} from 'redux-routable'
+import {
+  Breadcrumbs,
+  Link,
+  Match,
+  NavLink,
+  Prompt,
+  RouteAnnouncer,
+  Routable,
+  Switch,
+  lazyRoute,
+  useBlocker,
+  useBreadcrumbs,
+  useHash,
+  useHref,
+  useMatch,
+  useNavigate,
+  useParams,
+  useRoute,
+  useRouteFocus,
+  useRouteMeta,
+} from './index'
 
 const mockRouter = Router([
   Route('home', '/'),
@@ -36,11 +64,11 @@ const mocks = ({ historyOptions, router = mockRouter } = {}) => {
     </Provider>
   )
 
-  const make = element => {
+  const make = (element, options) => {
     let renderer
 
     act(() => {
-      renderer = create(<Test>{element}</Test>)
+      renderer = create(<Test>{element}</Test>, options)
     })
 
     return { render: () => renderer.toJSON() }
@@ -49,11 +77,39 @@ const mocks = ({ historyOptions, router = mockRouter } = {}) => {
   const render = element => make(element).render()
 
   window.open = jest.fn()
+  window.confirm = jest.fn()
   console.error = jest.fn()
 
   return { store, history, make, render }
 }
 
+const flushPromises = () => new Promise(resolve => window.setTimeout(resolve))
+
+describe('Routable', () => {
+  test('renders from a location without a history', () => {
+    const store = configureStore()()
+    const element = (
+      <Provider store={store}>
+        <Routable router={mockRouter} location="/search/widgets">
+          <Match on="search">
+            <Link route="home">home</Link>
+          </Match>
+        </Routable>
+      </Provider>
+    )
+    let renderer
+
+    act(() => {
+      renderer = create(element)
+    })
+
+    const link = renderer.toJSON()
+
+    expect(link.type).toBe('a')
+    expect(link.props.href).toBe('/')
+  })
+})
+
 describe('Match', () => {
   test('renders when matched on a single route', () => {
     const { render } = mocks()
@@ -69,6 +125,17 @@ describe('Match', () => {
     expect(match).toBe(null)
   })
 
+  test('renders children function with params when matched', () => {
+    const { render } = mocks({
+      historyOptions: { initialEntries: ['/search/widgets'] },
+    })
+    const match = render(
+      <Match on="search">{({ category }) => `matched ${category}`}</Match>,
+    )
+
+    expect(match).toBe('matched widgets')
+  })
+
   test('renders when matched on multiple routes', () => {
     const { render } = mocks()
     const match = render(<Match on={['home', 'search']}>matched</Match>)
@@ -112,6 +179,177 @@ describe('Match', () => {
   })
 })
 
+describe('Switch', () => {
+  test('renders only the first matching Match child', () => {
+    const { render } = mocks()
+    const rendered = render(
+      <Switch>
+        <Match on="search">search</Match>
+        <Match on="home">home</Match>
+        <Match on={['home', 'search']}>any</Match>
+      </Switch>,
+    )
+
+    expect(rendered).toBe('home')
+  })
+
+  test('renders the first matching route entry with params', () => {
+    const { render } = mocks({
+      historyOptions: { initialEntries: ['/search/widgets'] },
+    })
+    const routes = [
+      { on: 'home', render: 'home' },
+      { on: 'search', render: ({ category }) => `search ${category}` },
+    ]
+
+    expect(render(<Switch routes={routes} />)).toBe('search widgets')
+  })
+
+  test('renders otherwise when no branch matches', () => {
+    const { render } = mocks()
+    const rendered = render(
+      <Switch otherwise="otherwise">
+        <Match on="search">search</Match>
+      </Switch>,
+    )
+
+    expect(rendered).toBe('otherwise')
+  })
+
+  test('renders otherwise when the location is not matched', () => {
+    const { history, make } = mocks()
+    const switched = make(
+      <Switch otherwise={() => 'not found'}>
+        <Match on="home">home</Match>
+      </Switch>,
+    )
+
+    expect(switched.render()).toBe('home')
+    act(() => history.push('/nonsense'))
+    expect(switched.render()).toBe('not found')
+  })
+
+  test('renders nothing when no branch matches without otherwise', () => {
+    const { render } = mocks()
+
+    expect(render(<Switch routes={[{ on: 'search', render: 'x' }]} />)).toBe(
+      null,
+    )
+  })
+})
+
+describe('lazyRoute', () => {
+  // eslint-disable-next-line react/prop-types
+  const Search = ({ category }) => `search ${category}`
+
+  test('renders the fallback until the component is loaded', () => {
+    let resolveModule
+    const factory = jest.fn(
+      () => new Promise(resolve => (resolveModule = resolve)),
+    )
+    const LazySearch = lazyRoute(factory, { fallback: 'loading' })
+    const { make } = mocks({
+      historyOptions: { initialEntries: ['/search/widgets'] },
+    })
+    const rendered = make(
+      <Match on="search">{params => <LazySearch {...params} />}</Match>,
+    )
+
+    expect(rendered.render()).toBe('loading')
+
+    resolveModule({ default: Search })
+
+    return flushPromises().then(() => {
+      act(() => {})
+      expect(rendered.render()).toBe('search widgets')
+      expect(factory).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  test('preload() loads the component only once', () => {
+    const factory = jest.fn(() => Promise.resolve({ default: Search }))
+    const LazySearch = lazyRoute(factory)
+
+    const { make } = mocks()
+
+    LazySearch.preload()
+    LazySearch.preload()
+
+    const rendered = make(<LazySearch category="widgets" />)
+
+    return flushPromises().then(() => {
+      act(() => {})
+      expect(rendered.render()).toBe('search widgets')
+      expect(factory).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  test('renders the error fallback when loading fails', () => {
+    const factory = () => Promise.reject(new Error('Chunk failed'))
+    const LazySearch = lazyRoute(factory, {
+      fallback: 'loading',
+      error: error => error.message,
+    })
+    const { make } = mocks()
+    const rendered = make(<LazySearch />)
+
+    return flushPromises().then(() => {
+      act(() => {})
+      expect(rendered.render()).toBe('Chunk failed')
+    })
+  })
+
+  test('the error fallback can retry loading', () => {
+    let retryLoad
+    const factory = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Chunk failed')))
+      .mockImplementation(() => Promise.resolve({ default: Search }))
+    const LazySearch = lazyRoute(factory, {
+      error: (error, retry) => {
+        retryLoad = retry
+        return error.message
+      },
+    })
+    const { make } = mocks()
+    const rendered = make(<LazySearch category="widgets" />)
+
+    return flushPromises()
+      .then(() => {
+        act(() => {})
+        expect(rendered.render()).toBe('Chunk failed')
+        act(() => retryLoad())
+        return flushPromises()
+      })
+      .then(() => {
+        act(() => {})
+        expect(rendered.render()).toBe('search widgets')
+        expect(factory).toHaveBeenCalledTimes(2)
+      })
+  })
+
+  test('loading is retried after a failure when rendered again', () => {
+    const factory = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Chunk failed')))
+      .mockImplementation(() => Promise.resolve({ default: Search }))
+    const LazySearch = lazyRoute(factory, { error: error => error.message })
+
+    return LazySearch.preload()
+      .catch(() => {
+        const { make } = mocks()
+        const rendered = make(<LazySearch category="widgets" />)
+
+        return flushPromises().then(() => rendered)
+      })
+      .then(rendered => {
+        act(() => {})
+        expect(rendered.render()).toBe('search widgets')
+        expect(factory).toHaveBeenCalledTimes(2)
+      })
+  })
+})
+
 describe('Link', () => {
   test('renders <a> element', () => {
     const { render } = mocks()
@@ -133,6 +371,51 @@ describe('Link', () => {
     expect(link.props.href).toBe('/search/widgets?query=devices#items')
   })
 
+  test('generates href with the query options of the Router', () => {
+    const router = Router([Route('search', '/search')], {
+      query: { arrayFormat: 'comma' },
+    })
+    const { render } = mocks({ router })
+    const link = render(<Link route="search" params={{ tag: ['a', 'b'] }} />)
+
+    expect(link.props.href).toBe('/search?tag=a,b')
+  })
+
+  test('generates href in the locale of the current route', () => {
+    const router = Router([
+      Route('home', '/'),
+      Route('product', { en: '/en/products/:id', de: '/de/produkte/:id' }),
+    ])
+    const { render } = mocks({
+      router,
+      historyOptions: { initialEntries: ['/de/produkte/1'] },
+    })
+    const links = render(
+      <>
+        <Link route="product" params={{ id: '2' }} />
+        <Link route="product" params={{ id: '2', locale: 'en' }} />
+        <Link route="home" />
+      </>,
+    )
+
+    expect(links.map(link => link.props.href)).toEqual([
+      '/de/produkte/2',
+      '/en/products/2',
+      '/',
+    ])
+  })
+
+  test('renders null for an unknown locale', () => {
+    const router = Router([
+      Route('product', { en: '/en/products/:id', de: '/de/produkte/:id' }),
+    ])
+    const { render } = mocks({ router })
+
+    expect(
+      render(<Link route="product" params={{ id: '2', locale: 'fr' }} />),
+    ).toBe(null)
+  })
+
   test('allows other props to pass through', () => {
     const { render } = mocks()
     const link = render(<Link route="home" extra="extra" />)
@@ -152,6 +435,18 @@ describe('Link', () => {
     expect(payload).toEqual({ route: 'home', params: {}, hash: '' })
   })
 
+  test('passes location state when left-clicked', () => {
+    const { store, history, render } = mocks()
+    const link = render(<Link route="home" state={{ from: 'search' }} />)
+
+    link.props.onClick(mockEvent())
+
+    const [{ payload }] = store.getActions()
+
+    expect(history.location.state).toEqual({ from: 'search' })
+    expect(payload.state).toEqual({ from: 'search' })
+  })
+
   test('calls window.open() when left-clicked', () => {
     const { render } = mocks()
     const link = render(<Link route="home" action="open" />)
@@ -204,3 +499,503 @@ describe('Link', () => {
     expect(console.error).toHaveBeenCalled()
   })
 })
+
+describe('Link prefetching', () => {
+  const prefetchMocks = () => {
+    const loader = jest.fn(() => Promise.resolve({}))
+    const router = Router([
+      Route('home', '/'),
+      Route('search', '/search/:category?', { loader }),
+    ])
+
+    return { loader, ...mocks({ router }) }
+  }
+
+  beforeEach(() => jest.useFakeTimers())
+  afterEach(() => jest.useRealTimers())
+
+  test('prefetches when rendered', () => {
+    const { loader, render } = prefetchMocks()
+
+    render(
+      <Link
+        route="search"
+        params={{ category: 'widgets' }}
+        prefetch="render"
+      />,
+    )
+
+    expect(loader).toHaveBeenCalledWith({ category: 'widgets' })
+  })
+
+  test('prefetches when hovered or focused', () => {
+    const { loader, render } = prefetchMocks()
+    const onMouseEnter = jest.fn()
+    const link = render(
+      <Link route="search" prefetch="hover" onMouseEnter={onMouseEnter} />,
+    )
+
+    link.props.onMouseEnter(mockEvent())
+    expect(loader).not.toHaveBeenCalled()
+    act(() => jest.runAllTimers())
+    expect(loader).toHaveBeenCalledTimes(1)
+    expect(onMouseEnter).toHaveBeenCalled()
+
+    link.props.onFocus(mockEvent())
+    act(() => jest.runAllTimers())
+    expect(loader).toHaveBeenCalledTimes(1)
+  })
+
+  test('cancels prefetching when no longer hovered', () => {
+    const { loader, render } = prefetchMocks()
+    const link = render(<Link route="search" prefetch="hover" />)
+
+    link.props.onMouseEnter(mockEvent())
+    link.props.onMouseLeave(mockEvent())
+    act(() => jest.runAllTimers())
+
+    expect(loader).not.toHaveBeenCalled()
+  })
+
+  test('prefetches when visible', () => {
+    const observers = []
+
+    window.IntersectionObserver = jest.fn(callback => {
+      const observer = { callback, observe: jest.fn(), disconnect: jest.fn() }
+
+      observers.push(observer)
+      return observer
+    })
+
+    const { loader, make } = prefetchMocks()
+
+    make(<Link route="search" prefetch="visible" />, {
+      createNodeMock: () => ({}),
+    })
+
+    const [observer] = observers
+
+    expect(observer.observe).toHaveBeenCalled()
+    observer.callback([{ isIntersecting: true }])
+    act(() => jest.runAllTimers())
+    expect(loader).toHaveBeenCalledTimes(1)
+
+    delete window.IntersectionObserver
+  })
+
+  test('does not prefetch without the prefetch prop', () => {
+    const { loader, render } = prefetchMocks()
+    const link = render(<Link route="search" />)
+
+    link.props.onMouseEnter(mockEvent())
+    act(() => jest.runAllTimers())
+
+    expect(loader).not.toHaveBeenCalled()
+  })
+})
+
+describe('NavLink', () => {
+  test('is active when its route is the current route', () => {
+    const { render } = mocks()
+    const link = render(
+      <NavLink
+        route="home"
+        className="link"
+        style={{ color: 'black' }}
+        activeStyle={{ fontWeight: 'bold' }}
+      />,
+    )
+
+    expect(link.props.className).toBe('link active')
+    expect(link.props.style).toEqual({ color: 'black', fontWeight: 'bold' })
+    expect(link.props['aria-current']).toBe('page')
+  })
+
+  test('is not active when its route is not the current route', () => {
+    const { render } = mocks()
+    const link = render(
+      <NavLink route="search" className="link" style={{ color: 'black' }} />,
+    )
+
+    expect(link.props.className).toBe('link')
+    expect(link.props.style).toEqual({ color: 'black' })
+    expect(link.props['aria-current']).toBeUndefined()
+  })
+
+  test('is active when the current route matches its matchable', () => {
+    const userRouter = Router([Route('user', '/:userId')])
+    const userScope = Scope('/user', userRouter)
+    const router = Router([Route('home', '/'), userScope])
+    const { render } = mocks({
+      router,
+      historyOptions: { initialEntries: ['/user/123'] },
+    })
+    const link = render(
+      <NavLink
+        route="user"
+        params={{ userId: '456' }}
+        on={userScope}
+        activeClassName="selected"
+      />,
+    )
+
+    expect(link.props.className).toBe('selected')
+  })
+
+  test('compares params when matching params', () => {
+    const { render } = mocks({
+      historyOptions: { initialEntries: ['/search/widgets?page=2'] },
+    })
+    const matching = render(
+      <NavLink route="search" params={{ category: 'widgets' }} matchParams />,
+    )
+    const other = render(
+      <NavLink route="search" params={{ category: 'gadgets' }} matchParams />,
+    )
+
+    expect(matching.props['aria-current']).toBe('page')
+    expect(other.props['aria-current']).toBeUndefined()
+  })
+})
+
+describe('Breadcrumbs', () => {
+  const crumbRouter = Router([
+    Route('home', '/'),
+    Scope(
+      '/users',
+      Router([
+        Route('users'),
+        Route('user', '/:userId', {
+          breadcrumb: ({ userId }) => `User ${userId}`,
+        }),
+        Route('userSettings', '/:userId/settings'),
+      ]),
+      { breadcrumb: 'Users' },
+    ),
+  ])
+  const crumbMocks = path =>
+    mocks({ router: crumbRouter, historyOptions: { initialEntries: [path] } })
+  const items = nav => nav.children[0].children.map(item => item.children)
+
+  test('renders a link for each ancestor and the current route', () => {
+    const { render } = crumbMocks('/users/42')
+    const nav = render(<Breadcrumbs />)
+    const [users, user] = items(nav)
+
+    expect(nav.type).toBe('nav')
+    expect(nav.props['aria-label']).toBe('Breadcrumb')
+    expect(users).toHaveLength(1)
+    expect(users[0].type).toBe('a')
+    expect(users[0].props.href).toBe('/users')
+    expect(users[0].children).toEqual(['Users'])
+    expect(user[0].props['aria-hidden']).toBe('true')
+    expect(user[0].children).toEqual(['›'])
+    expect(user[1].type).toBe('span')
+    expect(user[1].props['aria-current']).toBe('page')
+    expect(user[1].children).toEqual(['User 42'])
+  })
+
+  test('renders a custom separator', () => {
+    const { render } = crumbMocks('/users/42')
+    const [, user] = items(render(<Breadcrumbs separator="/" />))
+
+    expect(user[0].children).toEqual(['/'])
+  })
+
+  test('links the last breadcrumb when the current route has none', () => {
+    const { render } = crumbMocks('/users/42/settings')
+    const [users] = items(render(<Breadcrumbs />))
+
+    expect(users[0].type).toBe('a')
+  })
+
+  test('renders nothing without breadcrumbs', () => {
+    const { render } = crumbMocks('/')
+
+    expect(render(<Breadcrumbs />)).toBe(null)
+  })
+
+  test('useBreadcrumbs() returns the breadcrumbs of the current route', () => {
+    const Crumbs = () => JSON.stringify(useBreadcrumbs())
+    const { history, make } = crumbMocks('/')
+    const crumbs = make(<Crumbs />)
+
+    expect(JSON.parse(crumbs.render())).toEqual([])
+    act(() => history.push('/users/42'))
+    expect(JSON.parse(crumbs.render())).toEqual([
+      { route: 'users', params: {}, label: 'Users', href: '/users' },
+      {
+        route: 'user',
+        params: { userId: '42' },
+        label: 'User 42',
+        href: '/users/42',
+      },
+    ])
+  })
+})
+
+describe('RouteAnnouncer', () => {
+  beforeEach(() => {
+    jest.useFakeTimers()
+    window.document.title = ''
+  })
+
+  afterEach(() => jest.useRealTimers())
+
+  test('announces the new route after the route changes', () => {
+    const { history, make } = mocks()
+    const announcer = make(<RouteAnnouncer />)
+
+    expect(announcer.render().props).toMatchObject({
+      role: 'status',
+      'aria-live': 'polite',
+    })
+    act(() => jest.runAllTimers())
+    expect(announcer.render().children).toEqual([''])
+
+    act(() => history.push('/search'))
+    act(() => jest.runAllTimers())
+    expect(announcer.render().children).toEqual(['search'])
+
+    window.document.title = 'Shop'
+    act(() => history.push('/'))
+    act(() => jest.runAllTimers())
+    expect(announcer.render().children).toEqual(['Shop'])
+  })
+
+  test('announces a custom message', () => {
+    const message = (route, params) => `${route} ${params.category}`
+    const { history, make } = mocks()
+    const announcer = make(<RouteAnnouncer message={message} />)
+
+    act(() => history.push('/search/widgets'))
+    act(() => jest.runAllTimers())
+
+    expect(announcer.render().children).toEqual(['search widgets'])
+  })
+})
+
+describe('useRouteFocus', () => {
+  const Main = () => <main ref={useRouteFocus()} />
+
+  const focusMocks = router => {
+    const node = {
+      focus: jest.fn(),
+      hasAttribute: jest.fn(() => false),
+      setAttribute: jest.fn(),
+    }
+    const { history, make } = mocks({ router })
+
+    make(<Main />, { createNodeMock: () => node })
+
+    return { history, node }
+  }
+
+  test('focuses the element after the route changes', () => {
+    const { history, node } = focusMocks()
+
+    expect(node.focus).not.toHaveBeenCalled()
+    act(() => history.push('/search'))
+    expect(node.setAttribute).toHaveBeenCalledWith('tabindex', '-1')
+    expect(node.focus).toHaveBeenCalledTimes(1)
+  })
+
+  test('does not focus the element for routes that opt out', () => {
+    const router = Router([
+      Route('home', '/'),
+      Route('search', '/search/:category?', { focus: false }),
+    ])
+    const { history, node } = focusMocks(router)
+
+    act(() => history.push('/search'))
+    expect(node.focus).not.toHaveBeenCalled()
+    act(() => history.push('/'))
+    expect(node.focus).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('Prompt', () => {
+  test('blocks navigation while rendered', () => {
+    const { store, history, render } = mocks()
+
+    render(<Prompt message="Leave?" />)
+    act(() => store.dispatch(push('search')))
+
+    expect(history.location.pathname).toBe('/')
+    expect(store.getActions().map(({ type }) => type)).toEqual([
+      NAVIGATION_BLOCKED,
+    ])
+  })
+
+  test('does not block navigation when not enabled', () => {
+    const { store, history, render } = mocks()
+
+    render(<Prompt when={false} message="Leave?" />)
+    act(() => store.dispatch(push('search')))
+
+    expect(history.location.pathname).toBe('/search')
+  })
+
+  test('continues navigation when confirmed', () => {
+    const { store, history, render } = mocks()
+
+    window.confirm.mockReturnValue(true)
+    render(<Prompt message="Leave?" />)
+    act(() => store.dispatch(push('search')))
+
+    expect(window.confirm).toHaveBeenCalledWith('Leave?')
+    expect(history.location.pathname).toBe('/search')
+  })
+
+  test('calls message with the NAVIGATION_BLOCKED action', () => {
+    const { store, render } = mocks()
+    const message = jest.fn(({ payload }) => `Go to ${payload.route}?`)
+
+    render(<Prompt message={message} />)
+    act(() => store.dispatch(push('search')))
+
+    expect(window.confirm).toHaveBeenCalledWith('Go to search?')
+  })
+})
+
+describe('useBlocker', () => {
+  // eslint-disable-next-line react/prop-types
+  const Blocker = ({ controls }) => {
+    const { blocked, confirm, cancel } = useBlocker()
+
+    Object.assign(controls, { confirm, cancel })
+
+    return blocked === null ? 'idle' : 'blocked'
+  }
+
+  test('exposes blocked navigation and allows it to be confirmed', () => {
+    const { store, history, make } = mocks()
+    const controls = {}
+    const blocker = make(<Blocker controls={controls} />)
+
+    act(() => store.dispatch(push('search')))
+    expect(blocker.render()).toBe('blocked')
+    act(() => controls.confirm())
+    expect(blocker.render()).toBe('idle')
+    expect(history.location.pathname).toBe('/search')
+  })
+
+  test('exposes blocked navigation and allows it to be cancelled', () => {
+    const { store, history, make } = mocks()
+    const controls = {}
+    const blocker = make(<Blocker controls={controls} />)
+
+    act(() => store.dispatch(push('search')))
+    expect(blocker.render()).toBe('blocked')
+    act(() => controls.cancel())
+    expect(blocker.render()).toBe('idle')
+    expect(history.location.pathname).toBe('/')
+  })
+})
+
+describe('route hooks', () => {
+  const Current = () => {
+    const route = useRoute()
+    const params = useParams()
+    const hash = useHash()
+
+    return JSON.stringify({ route, params, hash })
+  }
+
+  test('useRoute(), useParams() and useHash() return the current route', () => {
+    const { history, make } = mocks()
+    const current = make(<Current />)
+
+    expect(JSON.parse(current.render())).toEqual({
+      route: 'home',
+      params: {},
+      hash: '',
+    })
+    act(() => history.push('/search/widgets?query=devices#items'))
+    expect(JSON.parse(current.render())).toEqual({
+      route: 'search',
+      params: { category: 'widgets', query: 'devices' },
+      hash: '#items',
+    })
+  })
+
+  test('useRoute(), useParams() and useHash() handle an unmatched location', () => {
+    const { history, render } = mocks()
+
+    history.push('/nonsense')
+
+    expect(JSON.parse(render(<Current />))).toEqual({
+      route: null,
+      params: {},
+      hash: '',
+    })
+  })
+
+  test('useRouteMeta() returns the metadata of the current route', () => {
+    const router = Router([
+      Route('home', '/'),
+      Scope('/admin', Router([Route('users', '/users')]), {
+        meta: { auth: 'admin' },
+      }),
+    ])
+    const RouteMeta = () => JSON.stringify(useRouteMeta())
+    const { history, make } = mocks({ router })
+    const routeMeta = make(<RouteMeta />)
+
+    expect(JSON.parse(routeMeta.render())).toEqual({})
+    act(() => history.push('/admin/users'))
+    expect(JSON.parse(routeMeta.render())).toEqual({ auth: 'admin' })
+    act(() => history.push('/nonsense'))
+    expect(JSON.parse(routeMeta.render())).toEqual({})
+  })
+
+  test('useMatch() returns whether the current route matches', () => {
+    // eslint-disable-next-line react/prop-types
+    const Matched = ({ on }) => String(useMatch(on))
+    const { render } = mocks()
+
+    expect(render(<Matched on="home" />)).toBe('true')
+    expect(render(<Matched on={['search']} />)).toBe('false')
+  })
+
+  test('useNavigate() returns bound navigation action creators', () => {
+    const navigation = {}
+    const Navigator = () => {
+      Object.assign(navigation, useNavigate())
+      return null
+    }
+    const { store, history, render } = mocks()
+
+    render(<Navigator />)
+    act(() => navigation.push('search', { category: 'widgets' }))
+    expect(history.location.pathname).toBe('/search/widgets')
+    act(() => navigation.replace('home'))
+    expect(history.location.pathname).toBe('/')
+    act(() => navigation.open('search'))
+    expect(window.open).toHaveBeenCalledWith('/search')
+    act(() => navigation.goBack())
+    act(() => navigation.goForward())
+    act(() => navigation.go(-1))
+    expect(store.getActions().map(({ meta }) => meta.navigation)).toEqual([
+      'PUSH',
+      'REPLACE',
+      'POP',
+      'POP',
+      'POP',
+    ])
+  })
+
+  test('useHref() returns the href of a route', () => {
+    // eslint-disable-next-line react/prop-types
+    const Href = ({ route, params, hash }) => useHref(route, params, hash)
+    const { render } = mocks()
+
+    expect(
+      render(
+        <Href route="search" params={{ category: 'widgets' }} hash="#a" />,
+      ),
+    ).toBe('/search/widgets#a')
+    expect(render(<Href route="nonsense" />)).toBe(null)
+    expect(console.error).toHaveBeenCalled()
+  })
+})
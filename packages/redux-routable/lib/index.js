@@ -1,3 +1,4 @@
+import { createPath, parsePath as parseHref } from 'history'
 import {
   compile as compilePath,
   match as matchPath,
@@ -9,34 +10,57 @@ import { parse as parseQuery, stringify as stringifyQuery } from 'query-string'
 // Errors
 export class RouteMatchError extends Error {}
 export class LocationMatchError extends Error {}
+export class RouterConfigError extends Error {
+  constructor(problems) {
+    super(problems.map(({ message }) => message).join('\n'))
+    this.problems = problems
+  }
+}
 
 // Action Types
 const createType = type => '@@reduxRoutable/' + type
 
 const SYNC = createType('SYNC')
+const SYNC_HISTORY = createType('SYNC_HISTORY')
 const PUSH = createType('PUSH')
 const REPLACE = createType('REPLACE')
 const OPEN = createType('OPEN')
+const UPDATE_PARAMS = createType('UPDATE_PARAMS')
+const REMOVE_PARAMS = createType('REMOVE_PARAMS')
+const PREFETCH = createType('PREFETCH')
+const CANCEL_PREFETCH = createType('CANCEL_PREFETCH')
 const GO = createType('GO')
 const GO_BACK = createType('GO_BACK')
 const GO_FORWARD = createType('GO_FORWARD')
+const BLOCK = createType('BLOCK')
+const UNBLOCK = createType('UNBLOCK')
+const CONFIRM_NAVIGATION = createType('CONFIRM_NAVIGATION')
+const CANCEL_NAVIGATION = createType('CANCEL_NAVIGATION')
 export const ROUTE_CHANGED = createType('ROUTE_CHANGED')
 export const ROUTE_NOT_MATCHED = createType('ROUTE_NOT_MATCHED')
 export const LOCATION_NOT_MATCHED = createType('LOCATION_NOT_MATCHED')
+export const NAVIGATION_BLOCKED = createType('NAVIGATION_BLOCKED')
+export const ROUTE_LOADING = createType('ROUTE_LOADING')
+export const ROUTE_LOADED = createType('ROUTE_LOADED')
+export const ROUTE_LOAD_FAILED = createType('ROUTE_LOAD_FAILED')
 
 // Action Creators
 export const sync = () => ({
   type: SYNC,
 })
 
-export const push = (route, params = {}, hash = '') => ({
+export const syncHistory = () => ({
+  type: SYNC_HISTORY,
+})
+
+export const push = (route, params = {}, hash = '', state) => ({
   type: PUSH,
-  payload: { route, params, hash },
+  payload: { route, params, hash, state },
 })
 
-export const replace = (route, params = {}, hash = '') => ({
+export const replace = (route, params = {}, hash = '', state) => ({
   type: REPLACE,
-  payload: { route, params, hash },
+  payload: { route, params, hash, state },
 })
 
 export const open = (route, params = {}, hash = '') => ({
@@ -44,6 +68,26 @@ export const open = (route, params = {}, hash = '') => ({
   payload: { route, params, hash },
 })
 
+export const updateParams = (params, options = {}) => ({
+  type: UPDATE_PARAMS,
+  payload: { params, options },
+})
+
+export const removeParams = (keys, options = {}) => ({
+  type: REMOVE_PARAMS,
+  payload: { keys, options },
+})
+
+export const prefetch = (route, params = {}) => ({
+  type: PREFETCH,
+  payload: { route, params },
+})
+
+export const cancelPrefetch = (route, params = {}) => ({
+  type: CANCEL_PREFETCH,
+  payload: { route, params },
+})
+
 export const go = offset => ({
   type: GO,
   payload: offset,
@@ -57,10 +101,28 @@ export const goForward = () => ({
   type: GO_FORWARD,
 })
 
-const routeChanged = (route, params, hash, previous) => ({
+export const block = (key, onBlocked) => ({
+  type: BLOCK,
+  payload: { key, onBlocked },
+})
+
+export const unblock = key => ({
+  type: UNBLOCK,
+  payload: { key },
+})
+
+export const confirmNavigation = () => ({
+  type: CONFIRM_NAVIGATION,
+})
+
+export const cancelNavigation = () => ({
+  type: CANCEL_NAVIGATION,
+})
+
+const routeChanged = (route, params, hash, state, meta) => ({
   type: ROUTE_CHANGED,
-  payload: { route, params, hash },
-  meta: { previous },
+  payload: { route, params, hash, state },
+  meta,
 })
 
 const routeNotMatched = (error, route, params, hash) => ({
@@ -77,25 +139,74 @@ const locationNotMatched = (error, location) => ({
   meta: { location },
 })
 
+const navigationBlocked = (to, location, action) => ({
+  type: NAVIGATION_BLOCKED,
+  payload: to,
+  meta: { location, action },
+})
+
+const routeLoading = (route, params) => ({
+  type: ROUTE_LOADING,
+  meta: { route, params },
+})
+
+const routeLoaded = (data, route, params) => ({
+  type: ROUTE_LOADED,
+  payload: data,
+  meta: { route, params },
+})
+
+const routeLoadFailed = (error, route, params) => ({
+  type: ROUTE_LOAD_FAILED,
+  error: true,
+  payload: error,
+  meta: { route, params },
+})
+
 // Router Configuration
 const createConfig = (constructor, properties) => {
   const instance = Object.create(constructor.prototype)
   return Object.assign(instance, properties)
 }
 
-export function Route(name, path = '') {
+export function Route(name, path = '', options = {}) {
   if (name === undefined) {
     throw new TypeError("'name' cannot be undefined")
   }
 
+  if (path !== null && typeof path === 'object') {
+    const variants = Object.entries(path).map(([locale, localePath]) =>
+      Object.assign(Route(name, localePath, options), { locale }),
+    )
+
+    return createConfig(Route, {
+      name,
+      options,
+      variants,
+      meta: options.meta || {},
+      scopes: [],
+    })
+  }
+
   if (typeof path !== 'string') {
     throw new TypeError(`${path} is not a string`)
   }
 
-  return createConfig(Route, { name, path, pattern: pathToRegexp(path) })
+  Object.values(options.params || {}).forEach(getParamCodec)
+
+  const pattern = pathToRegexp(path)
+
+  return createConfig(Route, {
+    name,
+    path,
+    pattern,
+    options,
+    meta: options.meta || {},
+    scopes: [],
+  })
 }
 
-export function Redirect(to, path = '') {
+export function Redirect(to, path = '', options = {}) {
   if (to === undefined) {
     throw new TypeError("'to' cannot be undefined")
   }
@@ -104,10 +215,14 @@ export function Redirect(to, path = '') {
     throw new TypeError(`${path} is not a string`)
   }
 
-  return createConfig(Redirect, { to, path, pattern: pathToRegexp(path) })
+  Object.values(options.params || {}).forEach(getParamCodec)
+
+  const pattern = pathToRegexp(path)
+
+  return createConfig(Redirect, { to, path, pattern, options, scopes: [] })
 }
 
-export function Fallback(name, path = '') {
+export function Fallback(name, path = '', options = {}) {
   if (name === undefined) {
     throw new TypeError("'name' cannot be undefined")
   }
@@ -116,12 +231,21 @@ export function Fallback(name, path = '') {
     throw new TypeError(`${path} is not a string`)
   }
 
+  Object.values(options.params || {}).forEach(getParamCodec)
+
   const pattern = pathToRegexp(path, null, { end: false })
 
-  return createConfig(Fallback, { name, path: '', pattern })
+  return createConfig(Fallback, {
+    name,
+    path,
+    pattern,
+    options,
+    meta: options.meta || {},
+    scopes: [],
+  })
 }
 
-export function Scope(base, router) {
+export function Scope(base, router, options = {}) {
   if (typeof base !== 'string') {
     throw new TypeError(`${base} is not a string`)
   }
@@ -130,21 +254,44 @@ export function Scope(base, router) {
     throw new TypeError(`${router} is not a Router`)
   }
 
-  const scopedChildren = router.children.map(child => {
+  const scope = createConfig(Scope, { base, options })
+
+  scope.children = router.children.map(child => {
+    let scopedChild
+
     switch (child.constructor) {
       case Fallback:
-        return Fallback(child.name, base + child.path)
+        scopedChild = Fallback(child.name, base + child.path, child.options)
+        break
       case Redirect:
-        return Redirect(child.to, base + child.path)
+        scopedChild = Redirect(child.to, base + child.path, child.options)
+        break
       case Route:
-        return Route(child.name, base + child.path)
+        scopedChild = Route(child.name, base + child.path, child.options)
+        break
+      default:
+        throw new TypeError(`${child} is not a valid Scope child`)
     }
+
+    scopedChild.scopes = [scope].concat(child.scopes)
+    scopedChild.locale = child.locale
+    scopedChild.meta = child.meta && { ...options.meta, ...child.meta }
+    scopedChild.query = child.query || router.options.query
+
+    return scopedChild
   })
 
-  return createConfig(Scope, { base, children: scopedChildren })
+  const index = router.children.find(
+    child =>
+      child instanceof Route && child.path === '' && !child.scopes.length,
+  )
+
+  scope.index = index === undefined ? null : index.name
+
+  return scope
 }
 
-export function Router(children) {
+export function Router(children, options = {}) {
   if (!(children instanceof Array)) {
     throw new TypeError(`${children} is not an Array`)
   }
@@ -153,16 +300,30 @@ export function Router(children) {
     switch (child.constructor) {
       case Scope:
         return children.concat(child.children)
+      case Route:
+        return children.concat(child.variants || [child])
       case Fallback:
       case Redirect:
-      case Route:
         return children.concat([child])
       default:
         throw new TypeError(`${child} is not a valid Router child`)
     }
   }, [])
 
-  return createConfig(Router, { children: resolvedChildren })
+  const rankedChildren = options.rank
+    ? rankChildren(resolvedChildren)
+    : resolvedChildren
+
+  if (isDevelopment()) {
+    findShadowedChildren(rankedChildren).forEach(child => {
+      console.warn(
+        `${describeChild(child)} can never be matched because earlier ` +
+          'children of the Router match every location it matches',
+      )
+    })
+  }
+
+  return createConfig(Router, { children: rankedChildren, options })
 }
 
 // Helpers
@@ -185,6 +346,72 @@ export const match = (route, matchable) => {
   }
 }
 
+export const activeScopes = (router, route) => {
+  const child = findRoute(router, route)
+
+  return child === undefined ? [] : child.scopes
+}
+
+const resolveCrumb = (router, route, params, { name, label }) => {
+  if (name === null) {
+    return { route: null, params: {}, label, href: null }
+  }
+
+  const target = findRoute(router, name)
+  const pathParamNames = getPathParamNames(target.path)
+  const isLocalized = getLocales(router, name).includes(params.locale)
+  const crumbParams =
+    name === route
+      ? params
+      : keyFilter(
+          params,
+          key =>
+            (key === 'locale' && isLocalized) || pathParamNames.includes(key),
+        )
+  const href =
+    target instanceof Route
+      ? createPath(routeToLocation(router, name, crumbParams, ''))
+      : null
+
+  return { route: name, params: crumbParams, label, href }
+}
+
+export const breadcrumbs = (router, route, params = {}) => {
+  const child = findRoute(router, route)
+
+  if (child === undefined) return []
+
+  const trail = child.scopes
+    .filter(scope => scope.options.breadcrumb !== undefined)
+    .map(scope => ({ name: scope.index, label: scope.options.breadcrumb }))
+    .concat(
+      child.options.breadcrumb === undefined
+        ? []
+        : [{ name: route, label: child.options.breadcrumb }],
+    )
+    .reduce((crumbs, crumb) => {
+      const last = crumbs[crumbs.length - 1]
+
+      return last !== undefined &&
+        last.name !== null &&
+        last.name === crumb.name
+        ? crumbs.slice(0, -1).concat([crumb])
+        : crumbs.concat([crumb])
+    }, [])
+
+  return trail.map(({ name, label }) =>
+    resolveCrumb(router, route, params, {
+      name,
+      label: typeof label === 'function' ? label(params) : label,
+    }),
+  )
+}
+
+export const getLocales = (router, route) =>
+  router.children
+    .filter(child => child.name === route && child.locale !== undefined)
+    .map(({ locale }) => locale)
+
 export const paramsReducer = (matchable, ...rest) => {
   const [awayVal, paramsSelector] = rest.length === 1 ? [null, ...rest] : rest
 
@@ -215,32 +442,539 @@ export const exited = matchable => ({ type, payload, meta }) =>
   meta.previous !== undefined &&
   match(meta.previous.route, matchable)
 
+// Route State
+const initialRouteState = {
+  route: null,
+  params: {},
+  hash: '',
+  meta: {},
+  previous: null,
+}
+
+export const routeReducer = (
+  state = initialRouteState,
+  { type, payload, meta },
+) => {
+  switch (type) {
+    case ROUTE_CHANGED:
+      return {
+        ...payload,
+        meta: meta.routeMeta,
+        previous: meta.previous || null,
+      }
+    case LOCATION_NOT_MATCHED: {
+      const { route, params, hash, state: locationState, previous } = state
+
+      return {
+        ...initialRouteState,
+        previous:
+          route === null
+            ? previous
+            : { route, params, hash, state: locationState },
+      }
+    }
+    default:
+      return state
+  }
+}
+
+const selectRouteState = state => state.routing
+
+export const selectRoute = state => selectRouteState(state).route
+
+export const selectParams = state => selectRouteState(state).params
+
+export const selectHash = state => selectRouteState(state).hash
+
+export const selectRouteMeta = state => selectRouteState(state).meta
+
+export const selectPrevious = state => selectRouteState(state).previous
+
+export const selectIsActive = matchable => state =>
+  match(selectRoute(state), matchable)
+
 // Utilities
+const isDevelopment = () =>
+  typeof process !== 'undefined' && process.env.NODE_ENV !== 'production'
+
 const getPathParamNames = path =>
   parsePath(path)
-    .slice(1)
+    .filter(token => typeof token === 'object')
+    .map(token => token.name)
+
+const getRequiredPathParamNames = path =>
+  parsePath(path)
+    .filter(
+      token =>
+        typeof token === 'object' && !['?', '*'].includes(token.modifier),
+    )
     .map(token => token.name)
 
+const findRoute = (router, name) =>
+  router.children.find(
+    child =>
+      (child instanceof Route || child instanceof Fallback) &&
+      child.name === name,
+  )
+
+const isThenable = value => value != null && typeof value.then === 'function'
+
+const isSameLocation = (a, b) => createPath(a) === createPath(b)
+
 const keyFilter = (object, condition) =>
   Object.entries(object).reduce((params, [key, val]) => {
     if (condition(key)) params[key] = val
     return params
   }, {})
 
+// Route Ranking
+const describeChild = child =>
+  child instanceof Redirect && typeof child.to === 'function'
+    ? `Redirect with path '${child.path}'`
+    : child instanceof Redirect
+    ? `Redirect to '${child.to}' with path '${child.path}'`
+    : child instanceof Fallback
+    ? `Fallback '${child.name}' with path '${child.path}'`
+    : `Route '${child.name}' with path '${child.path}'`
+
+const getSegmentScores = path =>
+  parsePath(path).reduce((scores, token) => {
+    if (typeof token === 'string') {
+      return scores.concat(
+        token
+          .split('/')
+          .filter(Boolean)
+          .map(() => 3),
+      )
+    }
+
+    switch (token.modifier) {
+      case '':
+        return scores.concat([2])
+      case '?':
+        return scores.concat([1])
+      default:
+        return scores.concat([0])
+    }
+  }, [])
+
+const compareScores = (a, b) => {
+  const index = a.findIndex((score, index) => score !== b[index])
+
+  if (index === -1) {
+    return b.length - a.length
+  } else {
+    return b[index] === undefined ? -1 : b[index] - a[index]
+  }
+}
+
+const rankChildren = children =>
+  children
+    .map((child, index) => ({
+      child,
+      index,
+      fallback: child instanceof Fallback,
+      scores: getSegmentScores(child.path),
+    }))
+    .sort(
+      (a, b) =>
+        a.fallback - b.fallback ||
+        compareScores(a.scores, b.scores) ||
+        a.index - b.index,
+    )
+    .map(({ child }) => child)
+
+const getSamplePaths = path => {
+  const tokens = parsePath(path).filter(token => typeof token === 'object')
+  const fill = optional =>
+    tokens.reduce((params, { name, modifier }) => {
+      if (optional || !['?', '*'].includes(modifier)) {
+        params[name] = ['+', '*'].includes(modifier) ? [`:${name}`] : `:${name}`
+      }
+
+      return params
+    }, {})
+
+  try {
+    return [fill(true), fill(false)].map(params => compilePath(path)(params))
+  } catch (error) {
+    return []
+  }
+}
+
+const findShadowedChildren = children =>
+  children.filter((child, index) => {
+    const earlier = children.slice(0, index)
+    const outerScope = child.scopes[0]
+    const samples = getSamplePaths(child.path).filter(sample =>
+      child.pattern.test(sample),
+    )
+    const isShadowedBy = others =>
+      samples.every(sample => others.some(other => other.pattern.test(sample)))
+
+    return (
+      !(child instanceof Fallback) &&
+      samples.length > 0 &&
+      isShadowedBy(earlier) &&
+      (outerScope === undefined ||
+        !isShadowedBy(earlier.filter(other => other.scopes[0] === outerScope)))
+    )
+  })
+
+// Router Validation
+const isDuplicateName = (child, other) =>
+  other.name === child.name &&
+  !(child instanceof Fallback && other instanceof Fallback) &&
+  !(
+    child.locale !== undefined &&
+    other.locale !== undefined &&
+    child.locale !== other.locale
+  )
+
+const findDuplicateNames = router => {
+  const named = router.children.filter(child => !(child instanceof Redirect))
+
+  return named
+    .filter((child, index) =>
+      named.slice(0, index).some(other => isDuplicateName(child, other)),
+    )
+    .map(child => ({
+      type: 'DUPLICATE_NAME',
+      message: `${describeChild(child)} has a duplicate name`,
+      child,
+    }))
+}
+
+const findInvalidRedirects = router =>
+  router.children
+    .filter(child => child instanceof Redirect && isRouteTarget(child.to))
+    .reduce((problems, child) => {
+      const target = router.children.find(
+        other => other instanceof Route && other.name === child.to,
+      )
+
+      if (target === undefined) {
+        return problems.concat([
+          {
+            type: 'UNKNOWN_REDIRECT_TARGET',
+            message: `${describeChild(child)} does not match any Route`,
+            child,
+          },
+        ])
+      }
+
+      const paramNames = getPathParamNames(child.path)
+      const missingParamNames = getRequiredPathParamNames(target.path).filter(
+        name => !paramNames.includes(name),
+      )
+
+      if (missingParamNames.length > 0) {
+        return problems.concat([
+          {
+            type: 'MISSING_REDIRECT_PARAMS',
+            message:
+              `${describeChild(child)} is missing params required by ` +
+              `${describeChild(target)}: ${missingParamNames.join(', ')}`,
+            child,
+          },
+        ])
+      }
+
+      return problems
+    }, [])
+
+const matchRawPath = (router, pathname) => {
+  const child = router.children.find(child => child.pattern.test(pathname))
+
+  if (child === undefined) return undefined
+
+  const end = !(child instanceof Fallback)
+
+  return {
+    route: child,
+    params: matchPath(child.path, { end })(pathname).params,
+  }
+}
+
+const isRedirectLoop = (router, redirect) => {
+  const follow = (pathname, visited) => {
+    const next = matchRawPath(router, pathname)
+
+    if (next === undefined || !(next.route instanceof Redirect)) {
+      return false
+    } else if (next.route === redirect && visited.length > 0) {
+      return true
+    } else if (visited.includes(next.route) || !isRouteTarget(next.route.to)) {
+      return false
+    }
+
+    const target = resolveRedirect(next.route, next.params, '')
+    const route = router.children.find(
+      child => child instanceof Route && child.name === target.route,
+    )
+
+    try {
+      return (
+        route !== undefined &&
+        follow(
+          compilePath(route.path)(target.params),
+          visited.concat([next.route]),
+        )
+      )
+    } catch (error) {
+      return false
+    }
+  }
+
+  const [sample] = getSamplePaths(redirect.path)
+  const start = sample === undefined ? undefined : matchRawPath(router, sample)
+
+  return start !== undefined && start.route === redirect && follow(sample, [])
+}
+
+const findRedirectLoops = router =>
+  router.children
+    .filter(
+      child =>
+        child instanceof Redirect &&
+        isRouteTarget(child.to) &&
+        isRedirectLoop(router, child),
+    )
+    .map(child => ({
+      type: 'REDIRECT_LOOP',
+      message: `${describeChild(child)} redirects in a loop`,
+      child,
+    }))
+
+export const validateRouter = router =>
+  findDuplicateNames(router).concat(
+    findInvalidRedirects(router),
+    findRedirectLoops(router),
+  )
+
+// Param Types
+const isCodec = value =>
+  value != null &&
+  typeof value.parse === 'function' &&
+  typeof value.serialize === 'function'
+
+const paramCodecs = {
+  string: {
+    parse: value => {
+      if (typeof value !== 'string') {
+        throw new TypeError(`${value} is not a string`)
+      }
+
+      return value
+    },
+    serialize: value => String(value),
+  },
+  number: {
+    parse: value => {
+      if (typeof value === 'number') return value
+
+      const number = typeof value === 'string' && value !== '' ? +value : NaN
+
+      if (isNaN(number)) {
+        throw new TypeError(`${value} is not a number`)
+      }
+
+      return number
+    },
+    serialize: value => {
+      if (typeof value !== 'number' || isNaN(value)) {
+        throw new TypeError(`${value} is not a number`)
+      }
+
+      return String(value)
+    },
+  },
+  boolean: {
+    parse: value => {
+      if (value === 'true' || value === true || value === null) return true
+      if (value === 'false' || value === false) return false
+
+      throw new TypeError(`${value} is not a boolean`)
+    },
+    serialize: value => {
+      if (typeof value !== 'boolean') {
+        throw new TypeError(`${value} is not a boolean`)
+      }
+
+      return String(value)
+    },
+  },
+  date: {
+    parse: value => {
+      const date = new Date(typeof value === 'string' ? value : NaN)
+
+      if (isNaN(date.getTime())) {
+        throw new TypeError(`${value} is not a date`)
+      }
+
+      return date
+    },
+    serialize: value => {
+      if (!(value instanceof Date) || isNaN(value.getTime())) {
+        throw new TypeError(`${value} is not a date`)
+      }
+
+      return value.toISOString()
+    },
+  },
+  json: {
+    parse: value => JSON.parse(value),
+    serialize: value => JSON.stringify(value),
+  },
+}
+
+const enumCodec = values => {
+  const check = value => {
+    if (!values.includes(value)) {
+      throw new TypeError(`${value} is not one of: ${values.join(', ')}`)
+    }
+
+    return value
+  }
+
+  return { parse: check, serialize: check }
+}
+
+const arrayCodec = codec => ({
+  parse: value => [].concat(value).map(codec.parse),
+  serialize: value => {
+    if (!(value instanceof Array)) {
+      throw new TypeError(`${value} is not an Array`)
+    }
+
+    return value.map(codec.serialize)
+  },
+})
+
+const toParamSpec = spec =>
+  typeof spec === 'string' || isCodec(spec) ? { type: spec } : spec
+
+const getParamCodec = spec => {
+  const { type = 'string', values, of = 'string' } = toParamSpec(spec)
+
+  if (isCodec(type)) return type
+
+  switch (type) {
+    case 'enum':
+      if (!(values instanceof Array)) {
+        throw new TypeError(`${values} is not an Array`)
+      }
+
+      return enumCodec(values)
+    case 'array':
+      return arrayCodec(getParamCodec(of))
+    default:
+      if (!Object.keys(paramCodecs).includes(type)) {
+        throw new TypeError(`${type} is not a valid param type`)
+      }
+
+      return paramCodecs[type]
+  }
+}
+
+const getParamSpecs = route => (route.options && route.options.params) || {}
+
+const decodeParams = (route, params) =>
+  Object.entries(getParamSpecs(route)).reduce(
+    (decoded, [name, spec]) => {
+      const { default: defaultValue, required } = toParamSpec(spec)
+      const value = params[name]
+
+      if (value === undefined) {
+        if (defaultValue !== undefined) {
+          decoded[name] = defaultValue
+        } else if (required) {
+          throw new LocationMatchError(`Missing required param: ${name}`)
+        }
+      } else {
+        try {
+          decoded[name] = getParamCodec(spec).parse(value)
+        } catch (error) {
+          throw new LocationMatchError(
+            `Invalid param ${name}: ${error.message}`,
+          )
+        }
+      }
+
+      return decoded
+    },
+    { ...params },
+  )
+
+const encodeParams = (route, params) =>
+  Object.entries(getParamSpecs(route)).reduce(
+    (encoded, [name, spec]) => {
+      const { default: defaultValue, required } = toParamSpec(spec)
+      const value = params[name]
+
+      if (value === undefined) {
+        if (defaultValue === undefined && required) {
+          throw new RouteMatchError(`Missing required param: ${name}`)
+        }
+      } else {
+        try {
+          encoded[name] = getParamCodec(spec).serialize(value)
+        } catch (error) {
+          throw new RouteMatchError(`Invalid param ${name}: ${error.message}`)
+        }
+      }
+
+      return encoded
+    },
+    { ...params },
+  )
+
 // Route/Location Translation
+const getQueryCodec = (router, route) => {
+  const query = route.options.query || route.query || router.options.query
+  const { parse, stringify } = query || {}
+
+  if (typeof parse === 'function' && typeof stringify === 'function') {
+    return {
+      parse: search => parse(search.replace(/^\?/, '')),
+      stringify,
+    }
+  }
+
+  return {
+    parse: search => parseQuery(search, query),
+    stringify: params => stringifyQuery(params, query),
+  }
+}
+
 export const routeToLocation = (router, name, params, hash) => {
-  const route = router.children.find(
+  const routes = router.children.filter(
     child => child instanceof Route && child.name === name,
   )
+  const localized = routes.some(child => child.locale !== undefined)
+  const route =
+    localized && params.locale !== undefined
+      ? routes.find(child => child.locale === params.locale)
+      : routes[0]
 
-  if (route === undefined) {
+  if (routes.length === 0) {
     throw new RouteMatchError(`No route matching route name: ${name}`)
   }
 
+  if (route === undefined) {
+    throw new RouteMatchError(
+      `No route matching route name: ${name} with locale: ${params.locale}`,
+    )
+  }
+
+  const encodedParams = encodeParams(route, params)
   const pathParamNames = getPathParamNames(route.path)
-  const pathParams = keyFilter(params, key => pathParamNames.includes(key))
-  const queryParams = keyFilter(params, key => !pathParamNames.includes(key))
-  const search = stringifyQuery(queryParams)
+  const isPathParam = key =>
+    pathParamNames.includes(key) ||
+    (route.locale !== undefined && key === 'locale')
+  const pathParams = keyFilter(encodedParams, isPathParam)
+  const queryParams = keyFilter(encodedParams, key => !isPathParam(key))
+  const search = getQueryCodec(router, route).stringify(queryParams)
   let pathname
 
   try {
@@ -253,35 +987,535 @@ export const routeToLocation = (router, name, params, hash) => {
 }
 
 export const locationToRoute = (router, { pathname, search, hash }) => {
-  const route = router.children.find(child => child.pattern.test(pathname))
+  const routes = router.children.filter(child => child.pattern.test(pathname))
+  let error = new LocationMatchError(
+    `No route matching location path: ${pathname}`,
+  )
 
-  if (route === undefined) {
-    throw new LocationMatchError(`No route matching location path: ${pathname}`)
+  for (const route of routes) {
+    const end = !(route instanceof Fallback)
+    const pathParams = matchPath(route.path, { end })(pathname).params
+    const queryParams = getQueryCodec(router, route).parse(search)
+    const localeParams =
+      route.locale === undefined ? {} : { locale: route.locale }
+    const target =
+      route instanceof Redirect && isRouteTarget(route.to)
+        ? findRoute(router, route.to) || route
+        : route
+
+    try {
+      const params = decodeParams(target, {
+        ...pathParams,
+        ...queryParams,
+        ...localeParams,
+      })
+
+      return { route, params, hash }
+    } catch (paramError) {
+      if (paramError instanceof LocationMatchError) {
+        error = paramError
+      } else {
+        throw paramError
+      }
+    }
   }
 
-  const pathParams = matchPath(route.path)(pathname).params
-  const queryParams = parseQuery(search)
-  const params = { ...pathParams, ...queryParams }
+  throw error
+}
+
+const getDefaultedParamNames = (router, location) => {
+  const { route } = locationToRoute(router, location)
+  const end = !(route instanceof Fallback)
+  const locationParams = {
+    ...matchPath(route.path, { end })(location.pathname).params,
+    ...getQueryCodec(router, route).parse(location.search),
+  }
 
-  return { route, params, hash }
+  return Object.entries(getParamSpecs(route))
+    .filter(
+      ([name, spec]) =>
+        locationParams[name] === undefined &&
+        toParamSpec(spec).default !== undefined,
+    )
+    .map(([name]) => name)
+}
+
+export const alternateUrls = (router, name, params = {}, hash = '') =>
+  getLocales(router, name).reduce((urls, locale) => {
+    const location = routeToLocation(router, name, { ...params, locale }, hash)
+
+    return { ...urls, [locale]: createPath(location) }
+  }, {})
+
+const isExternalUrl = value =>
+  typeof value === 'string' && /^([a-z][a-z\d+\-.]*:)?\/\//i.test(value)
+
+const isRouteTarget = value =>
+  typeof value !== 'function' && !isExternalUrl(value)
+
+const resolveRedirect = (redirect, params, hash) => {
+  const { preserveQuery = true, preserveHash = true } = redirect.options
+  const pathParamNames = getPathParamNames(redirect.path)
+  const matchedParams = preserveQuery
+    ? params
+    : keyFilter(params, key => pathParamNames.includes(key))
+  const matchedHash = preserveHash ? hash : ''
+  const target =
+    typeof redirect.to === 'function'
+      ? redirect.to(matchedParams, matchedHash)
+      : redirect.to
+
+  if (isExternalUrl(target)) {
+    return { url: target }
+  }
+
+  const {
+    route,
+    params: targetParams = matchedParams,
+    hash: targetHash = matchedHash,
+  } = typeof target === 'object' ? target : { route: target }
+
+  return { route, params: targetParams, hash: targetHash }
+}
+
+// Server Rendering
+export const resolveUrl = (router, url) => {
+  const resolve = (location, status, visited) => {
+    const href = createPath(location)
+    let result
+
+    if (visited.includes(href)) {
+      throw new Error(`Redirect loop detected at location path: ${href}`)
+    }
+
+    try {
+      result = locationToRoute(router, location)
+    } catch (error) {
+      if (error instanceof LocationMatchError) {
+        const action = locationNotMatched(error, location)
+
+        return { status: 404, url: href, action }
+      } else {
+        throw error
+      }
+    }
+
+    const { route, params, hash } = result
+
+    if (route instanceof Redirect) {
+      const target = resolveRedirect(route, params, hash)
+
+      if (target.url !== undefined) {
+        return { status: 301, url: target.url, action: null }
+      }
+
+      const redirectLocation = routeToLocation(
+        router,
+        target.route,
+        target.params,
+        target.hash,
+      )
+
+      return resolve(redirectLocation, 301, visited.concat([href]))
+    } else {
+      const redirected = visited.length > 0
+      const action = routeChanged(route.name, params, hash, location.state, {
+        previous: undefined,
+        routeMeta: route.meta,
+        navigation: redirected ? 'REDIRECT' : 'SYNC',
+        key: location.key,
+        location,
+        redirected,
+      })
+
+      return {
+        status: route instanceof Fallback ? 404 : status,
+        url: href,
+        action,
+      }
+    }
+  }
+
+  return resolve(parseHref(url), 200, [])
+}
+
+export const createStaticHistory = url => {
+  const navigate = () => {
+    throw new Error('Cannot navigate with a static history')
+  }
+
+  return {
+    action: 'POP',
+    location: typeof url === 'string' ? parseHref(url) : url,
+    createHref: createPath,
+    listen: () => () => {},
+    block: () => () => {},
+    push: navigate,
+    replace: navigate,
+    go: navigate,
+    goBack: navigate,
+    goForward: navigate,
+  }
+}
+
+// Route Manifest
+const xmlEntities = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;',
+}
+
+const escapeXml = value => value.replace(/[&<>"']/g, char => xmlEntities[char])
+
+const getManifestParams = (route, provider) => {
+  if (provider === undefined) {
+    return getRequiredPathParamNames(route.path).length === 0 ? [{}] : []
+  }
+
+  return typeof provider === 'function' ? provider(route.locale) : provider
+}
+
+export const createManifest = (router, options = {}) => {
+  const { params: providers = {} } = options
+  const routes = router.children.filter(child => child instanceof Route)
+
+  return Promise.all(
+    routes.map(route =>
+      Promise.resolve(getManifestParams(route, providers[route.name])).then(
+        paramsList => ({
+          route: route.name,
+          path: route.path,
+          params: getPathParamNames(route.path),
+          locale: route.locale,
+          urls: paramsList.map(params => {
+            const localizedParams =
+              route.locale === undefined
+                ? params
+                : { ...params, locale: route.locale }
+
+            return createPath(
+              routeToLocation(router, route.name, localizedParams, ''),
+            )
+          }),
+        }),
+      ),
+    ),
+  )
+}
+
+export const createSitemap = (router, options = {}) => {
+  if (options.baseUrl === undefined) {
+    throw new TypeError("'baseUrl' cannot be undefined")
+  }
+
+  const baseUrl = options.baseUrl.replace(/\/+$/, '')
+  const isListed = ({ route }) =>
+    findRoute(router, route).options.sitemap !== false
+
+  return createManifest(router, options).then(manifest => {
+    const entries = manifest
+      .filter(isListed)
+      .reduce((urls, entry) => urls.concat(entry.urls), [])
+      .map(url => `  <url><loc>${escapeXml(baseUrl + url)}</loc></url>`)
+
+    return [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...entries,
+      '</urlset>',
+      '',
+    ].join('\n')
+  })
 }
 
 // Middleware
 const isAbsoluteAction = ({ type }) => [PUSH, REPLACE, OPEN].includes(type)
 
+const isParamsAction = ({ type }) =>
+  [UPDATE_PARAMS, REMOVE_PARAMS].includes(type)
+
 const isRelativeAction = ({ type }) => [GO, GO_BACK, GO_FORWARD].includes(type)
 
-export const createMiddleware = (router, history) => store => {
+const isBlockingAction = ({ type }) =>
+  [BLOCK, UNBLOCK, CONFIRM_NAVIGATION, CANCEL_NAVIGATION].includes(type)
+
+const openWindow = href => window.open(href)
+
+const replaceWindowLocation = url => window.location.replace(url)
+
+const getScrollPosition = element =>
+  element === window
+    ? { x: window.pageXOffset, y: window.pageYOffset }
+    : { x: element.scrollLeft, y: element.scrollTop }
+
+const scrollElementTo = (element, { x, y }) => {
+  if (element === window) {
+    window.scrollTo(x, y)
+  } else {
+    element.scrollLeft = x
+    element.scrollTop = y
+  }
+}
+
+const findHashElement = hash =>
+  hash && hash !== '#'
+    ? window.document.getElementById(decodeURIComponent(hash.replace(/^#/, '')))
+    : null
+
+export const createMiddleware = (router, history, options = {}) => store => {
+  const {
+    open = openWindow,
+    redirect = replaceWindowLocation,
+    syncHistory: historySync = false,
+    scroll = false,
+    prefetchTimeout = 30000,
+    title: titleTemplate = false,
+    validate = isDevelopment(),
+  } = options
+  const selectSyncedState =
+    historySync === true ? selectRouteState : historySync || undefined
+  const { container } = scroll === true ? {} : scroll || {}
+
+  if (validate) {
+    const problems = validateRouter(router)
+
+    if (problems.length > 0) throw new RouterConfigError(problems)
+  }
   let previous
+  let pending
+  let allowed
+  let unblockHistory
+  let silent = false
+  let reverting = false
+  let redirecting = false
+  let checks = 0
+  let loads = 0
+  let keys = history.entries
+    ? history.entries.map(entry => entry.key)
+    : [history.location.key]
+  let index = history.entries ? history.index : 0
+  const blockers = new Map()
+  const prefetched = new Map()
+  const positions = new Map()
+
+  const resolveTarget = location => {
+    try {
+      const { route, params, hash } = locationToRoute(router, location)
+
+      if (route instanceof Redirect) {
+        const target = resolveRedirect(route, params, hash)
+
+        return target.url === undefined ? target : undefined
+      }
+
+      return { route: route.name, params, hash }
+    } catch (error) {
+      if (error instanceof LocationMatchError) {
+        return undefined
+      } else {
+        throw error
+      }
+    }
+  }
+
+  const checkGuards = to => {
+    const from = previous
+    const leaving = from && findRoute(router, from.route)
+    const entering = to && findRoute(router, to.route)
+    const state = store.getState()
+    const results = []
+
+    if (leaving && leaving.options.canLeave) {
+      results.push(leaving.options.canLeave(to, from, state))
+    }
+
+    if (entering && entering.options.canEnter) {
+      results.push(entering.options.canEnter(to, from, state))
+    }
+
+    return results
+  }
+
+  const blockNavigation = (to, location, action, notify) => {
+    const blockedAction = navigationBlocked(to, location, action)
+
+    pending = { location, action }
+
+    if (notify) {
+      blockers.forEach(onBlocked => {
+        if (onBlocked) onBlocked(blockedAction)
+      })
+    }
+
+    store.dispatch(blockedAction)
+  }
+
+  const resumeNavigation = ({ location, action }) => {
+    allowed = location
+
+    switch (action) {
+      case 'PUSH':
+        history.push(location)
+        break
+      case 'REPLACE':
+        history.replace(location)
+        break
+      case 'POP': {
+        const delta = keys.indexOf(location.key) - index
+
+        if (delta !== 0) history.go(delta)
+        break
+      }
+    }
+  }
+
+  const canResume = ({ location, action }) =>
+    action !== 'POP' || keys.includes(location.key)
+
+  const rejectTransition = action => {
+    reverting = action === 'POP'
+    return false
+  }
+
+  const blockListener = (location, action) => {
+    const check = ++checks
+
+    if (allowed !== undefined && isSameLocation(allowed, location)) {
+      allowed = undefined
+      return
+    }
+
+    const to = resolveTarget(location)
+
+    if (blockers.size > 0) {
+      blockNavigation(to, location, action, true)
+      return rejectTransition(action)
+    }
+
+    const results = checkGuards(to)
+
+    if (results.includes(false)) {
+      blockNavigation(to, location, action, false)
+      return rejectTransition(action)
+    }
+
+    if (results.some(isThenable)) {
+      Promise.all(results).then(
+        results => {
+          if (check !== checks) return
+
+          if (results.includes(false) || !canResume({ location, action })) {
+            blockNavigation(to, location, action, false)
+          } else {
+            resumeNavigation({ location, action })
+          }
+        },
+        () => {
+          if (check === checks) blockNavigation(to, location, action, false)
+        },
+      )
+
+      return rejectTransition(action)
+    }
+  }
+
+  const hasGuards = router.children.some(
+    child => child.options.canLeave || child.options.canEnter,
+  )
+
+  const updateHistoryBlock = () => {
+    const blocking = hasGuards || blockers.size > 0
+
+    if (blocking && unblockHistory === undefined) {
+      allowed = undefined
+      unblockHistory = history.block(blockListener)
+    } else if (!blocking && unblockHistory !== undefined) {
+      allowed = undefined
+      unblockHistory()
+      unblockHistory = undefined
+    }
+  }
+
+  const trackEntry = (location, action) => {
+    switch (action) {
+      case 'PUSH':
+        keys = keys.slice(0, index + 1).concat([location.key])
+        index = keys.length - 1
+        break
+      case 'REPLACE':
+        keys[index] = location.key
+        break
+      case 'POP':
+        index = keys.indexOf(location.key)
+
+        if (index === -1) {
+          keys = [location.key]
+          index = 0
+        }
+
+        break
+    }
+  }
+
+  const followRedirect = ({ url, route, params, hash }, state) => {
+    if (url !== undefined) {
+      redirect(url)
+      return
+    }
+
+    try {
+      const redirectLocation = routeToLocation(router, route, params, hash)
+
+      allowed = redirectLocation
+      redirecting = true
+      history.replace(redirectLocation, state)
+    } catch (error) {
+      if (error instanceof RouteMatchError) {
+        store.dispatch(routeNotMatched(error, route, params, hash))
+      } else {
+        throw error
+      }
+    } finally {
+      redirecting = false
+    }
+  }
+
+  const historyListener = (location, action) => {
+    const reverted =
+      reverting && action === 'POP' && location.key === keys[index]
+
+    reverting = false
+
+    if (reverted) return
+
+    if (scroll) saveScrollPosition()
+
+    trackEntry(location, action)
+
+    if (silent) return
+
+    const redirected = redirecting
+
+    redirecting = false
 
-  const historyListener = location => {
     try {
       const { route, params, hash } = locationToRoute(router, location)
 
       if (route instanceof Redirect) {
-        history.replace(routeToLocation(router, route.to, params, hash))
+        followRedirect(resolveRedirect(route, params, hash), location.state)
       } else {
-        store.dispatch(routeChanged(route.name, params, hash, previous))
+        store.dispatch(
+          routeChanged(route.name, params, hash, location.state, {
+            previous,
+            routeMeta: route.meta,
+            navigation: redirected ? 'REDIRECT' : action || 'SYNC',
+            key: location.key,
+            location,
+            redirected,
+          }),
+        )
       }
     } catch (error) {
       if (error instanceof LocationMatchError) {
@@ -292,34 +1526,305 @@ export const createMiddleware = (router, history) => store => {
     }
   }
 
+  const normalizeLocation = location => {
+    try {
+      const { route, params, hash } = locationToRoute(router, location)
+
+      if (route instanceof Route) {
+        return routeToLocation(router, route.name, params, hash)
+      }
+    } catch (error) {
+      if (
+        !(error instanceof LocationMatchError) &&
+        !(error instanceof RouteMatchError)
+      ) {
+        throw error
+      }
+    }
+
+    return location
+  }
+
+  const syncLocation = () => {
+    const routeState = selectSyncedState(store.getState())
+    let location
+
+    if (!routeState || routeState.route == null) return
+
+    const { route, params = {}, hash = '', state } = routeState
+
+    try {
+      location = routeToLocation(router, route, params, hash)
+    } catch (error) {
+      if (error instanceof RouteMatchError) {
+        return
+      } else {
+        throw error
+      }
+    }
+
+    if (isSameLocation(location, normalizeLocation(history.location))) return
+
+    previous = { route, params, hash, state }
+    allowed = location
+    silent = true
+
+    try {
+      history.replace(location, state)
+    } finally {
+      allowed = undefined
+      silent = false
+    }
+  }
+
+  const getScrollContainer = () =>
+    container === undefined
+      ? window
+      : typeof container === 'function'
+      ? container()
+      : container
+
+  const saveScrollPosition = () => {
+    const element = getScrollContainer()
+
+    if (element) positions.set(keys[index], getScrollPosition(element))
+  }
+
+  const restoreScrollPosition = ({ payload, meta }) => {
+    const config = findRoute(router, payload.route)
+
+    if (meta.navigation === 'SYNC') return
+    if (config && config.options.scroll === false) return
+
+    window.setTimeout(() => {
+      const element = getScrollContainer()
+      const hashElement = findHashElement(payload.hash)
+
+      if (!element) return
+
+      if (meta.navigation === 'POP' && positions.has(meta.key)) {
+        scrollElementTo(element, positions.get(meta.key))
+      } else if (meta.navigation !== 'POP' && hashElement) {
+        hashElement.scrollIntoView()
+      } else {
+        scrollElementTo(element, { x: 0, y: 0 })
+      }
+    })
+  }
+
+  const load = ({ route, params }) => {
+    const current = ++loads
+    const config = findRoute(router, route)
+
+    const key = getPrefetchKey(route, params)
+    const entry = prefetched.get(key)
+    const data = entry && entry.expires > Date.now() ? entry.data : undefined
+
+    prefetched.delete(key)
+
+    if (config === undefined || !config.options.loader) return
+
+    store.dispatch(routeLoading(route, params))
+
+    const loading =
+      data || new Promise(resolve => resolve(config.options.loader(params)))
+
+    loading.then(
+      data => {
+        if (current === loads) {
+          store.dispatch(routeLoaded(data, route, params))
+        }
+      },
+      error => {
+        if (current === loads) {
+          store.dispatch(routeLoadFailed(error, route, params))
+        }
+      },
+    )
+  }
+
+  const preload = ({ route, params }) => {
+    const config = findRoute(router, route)
+
+    if (config === undefined || !config.options.preload) return
+
+    const result = config.options.preload(params)
+
+    if (isThenable(result)) result.then(undefined, () => {})
+  }
+
+  const getPrefetchKey = (route, params) => {
+    try {
+      return createPath(routeToLocation(router, route, params, ''))
+    } catch (error) {
+      if (error instanceof RouteMatchError) {
+        return undefined
+      } else {
+        throw error
+      }
+    }
+  }
+
+  const prefetchRoute = ({ route, params }) => {
+    const config = findRoute(router, route)
+    const key = getPrefetchKey(route, params)
+    const now = Date.now()
+
+    prefetched.forEach((entry, entryKey) => {
+      if (entry.expires <= now) prefetched.delete(entryKey)
+    })
+
+    if (key === undefined || prefetched.has(key)) return
+
+    preload({ route, params })
+
+    const data = config.options.loader
+      ? new Promise(resolve => resolve(config.options.loader(params)))
+      : undefined
+    const entry = { data, expires: now + prefetchTimeout }
+
+    if (data !== undefined) {
+      data.then(undefined, () => {
+        if (prefetched.get(key) === entry) prefetched.delete(key)
+      })
+    }
+
+    prefetched.set(key, entry)
+  }
+
+  const cancelPrefetchRoute = ({ route, params }) => {
+    prefetched.delete(getPrefetchKey(route, params))
+  }
+
+  const localizeParams = (route, params) =>
+    params.locale === undefined &&
+    previous !== undefined &&
+    getLocales(router, route).includes(previous.params.locale)
+      ? { ...params, locale: previous.params.locale }
+      : params
+
+  const navigate = (type, { route, hash, state, ...payload }) => {
+    const params = localizeParams(route, payload.params)
+
+    try {
+      const location = routeToLocation(router, route, params, hash)
+
+      switch (type) {
+        case PUSH:
+          preload({ route, params })
+          history.push(location, state)
+          break
+        case REPLACE:
+          preload({ route, params })
+          history.replace(location, state)
+          break
+        case OPEN:
+          open(history.createHref(location))
+          break
+      }
+    } catch (error) {
+      if (error instanceof RouteMatchError) {
+        store.dispatch(routeNotMatched(error, route, params, hash))
+      } else {
+        throw error
+      }
+    }
+  }
+
+  const updateTitle = ({ payload: { params }, meta: { routeMeta = {} } }) => {
+    const routeTitle =
+      typeof routeMeta.title === 'function'
+        ? routeMeta.title(params)
+        : routeMeta.title
+
+    if (routeTitle === undefined) return
+
+    window.document.title =
+      typeof titleTemplate === 'function'
+        ? titleTemplate(routeTitle, params)
+        : routeTitle
+  }
+
+  const getCurrentDefaultedParamNames = () => {
+    try {
+      return getDefaultedParamNames(router, history.location)
+    } catch (error) {
+      if (error instanceof LocationMatchError) {
+        return []
+      } else {
+        throw error
+      }
+    }
+  }
+
+  const navigateParams = ({ type, payload }) => {
+    const { replace = false, reset = [] } = payload.options
+    const patch =
+      type === UPDATE_PARAMS
+        ? payload.params
+        : payload.keys.reduce(
+            (patch, key) => ({ ...patch, [key]: undefined }),
+            {},
+          )
+
+    if (previous === undefined) {
+      const error = new RouteMatchError('No current route to update params of')
+
+      store.dispatch(routeNotMatched(error, undefined, patch, ''))
+    } else {
+      const { route, params, hash } = previous
+      const defaulted = getCurrentDefaultedParamNames()
+      const isKept = key =>
+        patch[key] !== undefined ||
+        (!(key in patch) && !reset.includes(key) && !defaulted.includes(key))
+      const nextParams = keyFilter({ ...params, ...patch }, isKept)
+
+      navigate(replace ? REPLACE : PUSH, { route, params: nextParams, hash })
+    }
+  }
+
+  if (scroll && 'scrollRestoration' in window.history) {
+    window.history.scrollRestoration = 'manual'
+  }
+
   history.listen(historyListener)
+  updateHistoryBlock()
 
   return next => action => {
     if (action.type === SYNC) {
       historyListener(history.location)
+    } else if (action.type === SYNC_HISTORY) {
+      if (selectSyncedState) syncLocation()
     } else if (isAbsoluteAction(action)) {
-      const { route, params, hash } = action.payload
-
-      try {
-        const location = routeToLocation(router, route, params, hash)
-
-        switch (action.type) {
-          case PUSH:
-            history.push(location)
-            break
-          case REPLACE:
-            history.replace(location)
-            break
-          case OPEN:
-            window.open(history.createHref(location))
-            break
-        }
-      } catch (error) {
-        if (error instanceof RouteMatchError) {
-          store.dispatch(routeNotMatched(error, route, params, hash))
-        } else {
-          throw error
+      navigate(action.type, action.payload)
+    } else if (isParamsAction(action)) {
+      navigateParams(action)
+    } else if (action.type === PREFETCH) {
+      prefetchRoute(action.payload)
+    } else if (action.type === CANCEL_PREFETCH) {
+      cancelPrefetchRoute(action.payload)
+    } else if (isBlockingAction(action)) {
+      switch (action.type) {
+        case BLOCK:
+          blockers.set(action.payload.key, action.payload.onBlocked)
+          updateHistoryBlock()
+          break
+        case UNBLOCK:
+          blockers.delete(action.payload.key)
+          updateHistoryBlock()
+          break
+        case CONFIRM_NAVIGATION: {
+          const navigation = pending
+
+          pending = undefined
+          if (navigation !== undefined && canResume(navigation)) {
+            resumeNavigation(navigation)
+          }
+          break
         }
+        case CANCEL_NAVIGATION:
+          pending = undefined
+          break
       }
     } else if (isRelativeAction(action)) {
       switch (action.type) {
@@ -338,7 +1843,17 @@ export const createMiddleware = (router, history) => store => {
         previous = action.payload
       }
 
-      return next(action)
+      const result = next(action)
+
+      if (action.type === ROUTE_CHANGED) {
+        load(action.payload)
+        if (scroll) restoreScrollPosition(action)
+        if (titleTemplate) updateTitle(action)
+      }
+
+      if (selectSyncedState) syncLocation()
+
+      return result
     }
   }
 }
@@ -1,30 +1,62 @@
 import { createMemoryHistory } from 'history'
-import { applyMiddleware, createStore } from 'redux'
+import { applyMiddleware, combineReducers, createStore } from 'redux'
 import configureStore from 'redux-mock-store'
 import {
   Fallback,
   LOCATION_NOT_MATCHED,
   LocationMatchError,
+  NAVIGATION_BLOCKED,
   ROUTE_CHANGED,
+  ROUTE_LOADED,
+  ROUTE_LOADING,
+  ROUTE_LOAD_FAILED,
   ROUTE_NOT_MATCHED,
   Redirect,
   Route,
   RouteMatchError,
   Router,
+  RouterConfigError,
   Scope,
+  activeScopes,
+  alternateUrls,
+  block,
+  breadcrumbs,
+  cancelNavigation,
+  cancelPrefetch,
   changedTo,
+  confirmNavigation,
+  createManifest,
   createMiddleware,
+  createSitemap,
+  createStaticHistory,
   entered,
   exited,
+  getLocales,
   go,
   goBack,
   goForward,
+  locationToRoute,
   match,
   open,
   paramsReducer,
+  prefetch,
   push,
+  removeParams,
   replace,
+  resolveUrl,
+  routeReducer,
+  routeToLocation,
+  selectHash,
+  selectIsActive,
+  selectParams,
+  selectPrevious,
+  selectRoute,
+  selectRouteMeta,
   sync,
+  syncHistory,
+  unblock,
+  updateParams,
+  validateRouter,
 } from './index'
 
 const userRouter = Router([
@@ -56,9 +88,14 @@ const mockRouter = Router([
   Fallback('notFound'),
 ])
 
-const mocks = ({ historyOptions, reducer, router = mockRouter } = {}) => {
+const mocks = ({
+  historyOptions,
+  reducer,
+  router = mockRouter,
+  options,
+} = {}) => {
   const history = createMemoryHistory(historyOptions)
-  const middleware = createMiddleware(router, history)
+  const middleware = createMiddleware(router, history, options)
   const store = reducer
     ? createStore(reducer, applyMiddleware(middleware))
     : configureStore([middleware])()
@@ -68,6 +105,8 @@ const mocks = ({ historyOptions, reducer, router = mockRouter } = {}) => {
   return { store, history }
 }
 
+const flushPromises = () => new Promise(resolve => window.setTimeout(resolve))
+
 describe('middleware', () => {
   test('does not allow navigation actions to pass through', () => {
     const { store } = mocks()
@@ -75,6 +114,15 @@ describe('middleware', () => {
       push('home'),
       replace('home'),
       open('home'),
+      syncHistory(),
+      updateParams({}),
+      removeParams([]),
+      prefetch('home'),
+      cancelPrefetch('home'),
+      block('test'),
+      unblock('test'),
+      confirmNavigation(),
+      cancelNavigation(),
       go(-1),
       goBack(),
       goForward(),
@@ -244,6 +292,544 @@ describe('helpers', () => {
   })
 })
 
+describe('route state', () => {
+  const reducer = combineReducers({ routing: routeReducer })
+
+  test('routeReducer() has an initial state', () => {
+    const { store } = mocks({ reducer })
+
+    expect(store.getState().routing).toEqual({
+      route: null,
+      params: {},
+      hash: '',
+      meta: {},
+      previous: null,
+    })
+  })
+
+  test('routeReducer() stores the current and previous route', () => {
+    const { store } = mocks({ reducer })
+
+    store.dispatch(replace('home'))
+    store.dispatch(replace('search', { category: 'widgets' }, '#items'))
+
+    expect(store.getState().routing).toEqual({
+      route: 'search',
+      params: { category: 'widgets' },
+      hash: '#items',
+      meta: {},
+      previous: { route: 'home', params: {}, hash: '' },
+    })
+  })
+
+  test('routeReducer() clears the current route when location is not matched', () => {
+    const router = Router([Route('home', '/')])
+    const { store, history } = mocks({ reducer, router })
+
+    store.dispatch(replace('home'))
+    history.replace('/nonsense')
+
+    expect(store.getState().routing).toEqual({
+      route: null,
+      params: {},
+      hash: '',
+      meta: {},
+      previous: { route: 'home', params: {}, hash: '' },
+    })
+  })
+
+  test('routeReducer() stores the previous route in the same shape', () => {
+    const router = Router([Route('home', '/'), Route('cart', '/cart')])
+    const { store, history } = mocks({ reducer, router })
+
+    store.dispatch(replace('home', {}, '', { from: 'cart' }))
+    store.dispatch(replace('cart'))
+
+    const changedPrevious = selectPrevious(store.getState())
+
+    store.dispatch(replace('home', {}, '', { from: 'cart' }))
+    history.replace('/nonsense')
+
+    expect(selectPrevious(store.getState())).toStrictEqual(changedPrevious)
+  })
+
+  test('selectors select from the route state', () => {
+    const { store } = mocks({ reducer })
+
+    store.dispatch(replace('home'))
+    store.dispatch(replace('item', { itemId: '123' }, '#reviews'))
+
+    const state = store.getState()
+
+    expect(selectRoute(state)).toBe('item')
+    expect(selectParams(state)).toEqual({ itemId: '123' })
+    expect(selectHash(state)).toBe('#reviews')
+    expect(selectPrevious(state)).toEqual({
+      route: 'home',
+      params: {},
+      hash: '',
+    })
+  })
+
+  test('selectIsActive() selects whether a matchable is active', () => {
+    const { store } = mocks({ reducer })
+
+    expect(selectIsActive('users')(store.getState())).toBe(false)
+    store.dispatch(replace('users'))
+    expect(selectIsActive('users')(store.getState())).toBe(true)
+    expect(selectIsActive(userRouter)(store.getState())).toBe(true)
+    expect(selectIsActive(['home', 'cart'])(store.getState())).toBe(false)
+  })
+})
+
+describe('history sync', () => {
+  const RESTORE = 'RESTORE'
+  const routeState = (route, params = {}, hash = '') => ({
+    route,
+    params,
+    hash,
+    previous: null,
+  })
+  const restorableReducer = (state = {}, action) =>
+    action.type === RESTORE
+      ? action.payload
+      : { routing: routeReducer(state.routing, action) }
+  const recordingMocks = options => {
+    const reducer = jest.fn(restorableReducer)
+    const { store, history } = mocks({ reducer, options })
+    const types = () => reducer.mock.calls.map(([, { type }]) => type)
+
+    return { store, history, types }
+  }
+
+  test('replaces the location when the route state changes', () => {
+    const { store, history, types } = recordingMocks({ syncHistory: true })
+
+    store.dispatch(replace('home'))
+    store.dispatch({
+      type: RESTORE,
+      payload: { routing: routeState('item', { itemId: '123' }, '#reviews') },
+    })
+
+    expect(history.location).toMatchObject({
+      pathname: '/item/123',
+      hash: '#reviews',
+    })
+    expect(history.action).toBe('REPLACE')
+    expect(types().filter(type => type === ROUTE_CHANGED)).toHaveLength(1)
+  })
+
+  test('does not replace the location when disabled', () => {
+    const { store, history } = recordingMocks()
+
+    store.dispatch(replace('home'))
+    store.dispatch({
+      type: RESTORE,
+      payload: { routing: routeState('item', { itemId: '123' }) },
+    })
+
+    expect(history.location.pathname).toBe('/')
+  })
+
+  test('does not replace an equivalent location', () => {
+    const { store, history } = recordingMocks({ syncHistory: true })
+
+    history.push('/search?query=devices&page=2')
+    store.dispatch({ type: 'UNRELATED' })
+
+    expect(history.location.search).toBe('?query=devices&page=2')
+    expect(history.action).toBe('PUSH')
+  })
+
+  test('does not replace the location when the route has no location', () => {
+    const { store, history } = recordingMocks({ syncHistory: true })
+
+    history.push('/nonsense')
+    store.dispatch({ type: 'UNRELATED' })
+
+    expect(history.location.pathname).toBe('/nonsense')
+  })
+
+  test('bypasses guards when replacing the location', () => {
+    const canLeave = jest.fn(() => false)
+    const router = Router([
+      Route('form', '/form', { canLeave }),
+      Route('home', '/'),
+    ])
+    const reducer = jest.fn(restorableReducer)
+    const { store, history } = mocks({
+      router,
+      reducer,
+      options: { syncHistory: true },
+    })
+
+    store.dispatch(replace('form'))
+    store.dispatch({ type: RESTORE, payload: { routing: routeState('home') } })
+
+    expect(history.location.pathname).toBe('/')
+    expect(canLeave).not.toHaveBeenCalled()
+  })
+
+  test('syncHistory() syncs a custom route state selector', () => {
+    let current = routeState('cart')
+    const { store, history } = mocks({
+      options: { syncHistory: () => current },
+    })
+
+    store.dispatch(syncHistory())
+    expect(history.location.pathname).toBe('/cart')
+
+    current = routeState('search', { category: 'widgets' })
+    store.dispatch(syncHistory())
+    expect(history.location.pathname).toBe('/search/widgets')
+    expect(store.getActions()).toEqual([])
+  })
+})
+
+describe('route ranking', () => {
+  const rankedRouter = Router(
+    [
+      Fallback('notFound'),
+      Route('files', '/files/:path+'),
+      Route('user', '/user/:userId'),
+      Route('userPage', '/user/:userId?/:page'),
+      Route('userAdmin', '/user/admin'),
+      Route('userSettings', '/user/:userId/settings'),
+      Route('userFiles', '/user/:path*'),
+      Route('home', '/'),
+    ],
+    { rank: true },
+  )
+
+  const rankTests = [
+    ['/', 'home'],
+    ['/user/admin', 'userAdmin'],
+    ['/user/123', 'user'],
+    ['/user/123/settings', 'userSettings'],
+    ['/user/123/profile', 'userPage'],
+    ['/user/123/profile/photos', 'userFiles'],
+    ['/files/a/b', 'files'],
+    ['/nonsense', 'notFound'],
+  ]
+
+  rankTests.forEach(([path, route]) => {
+    test(`matches '${route}' when changed to '${path}'`, () => {
+      const { store, history } = mocks({ router: rankedRouter })
+
+      history.replace(path)
+
+      const [{ payload }] = store.getActions()
+
+      expect(payload.route).toBe(route)
+    })
+  })
+
+  test('children are matched in order of declaration when not ranked', () => {
+    console.warn = jest.fn()
+
+    const router = Router([
+      Route('user', '/user/:userId'),
+      Route('userAdmin', '/user/admin'),
+    ])
+    const { store, history } = mocks({ router })
+
+    history.replace('/user/admin')
+
+    const [{ payload }] = store.getActions()
+
+    expect(payload.route).toBe('user')
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    expect(console.warn.mock.calls[0][0]).toMatch("Route 'userAdmin'")
+  })
+})
+
+describe('shadowed route detection', () => {
+  beforeEach(() => {
+    console.warn = jest.fn()
+  })
+
+  test('warns about children that can never be matched', () => {
+    Router([Route('user', '/:userId'), Route('userAdmin', '/admin')])
+
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    expect(console.warn.mock.calls[0][0]).toMatch("Route 'userAdmin'")
+  })
+
+  test('does not warn or throw when process is not defined', () => {
+    const { process } = window
+
+    window.process = undefined
+
+    try {
+      Router([Route('user', '/:userId'), Route('userAdmin', '/admin')])
+    } finally {
+      window.process = process
+    }
+
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  test('warns about children shadowed by a Fallback', () => {
+    Router([Fallback('notFound', '/user'), Redirect('users', '/user/all')])
+
+    expect(console.warn).toHaveBeenCalledTimes(1)
+    expect(console.warn.mock.calls[0][0]).toMatch("Redirect to 'users'")
+  })
+
+  test('does not warn about children that are only partially shadowed', () => {
+    Router([
+      Route('user', '/:userId'),
+      Route('users', '/:userId?'),
+      Route('userPosts', '/:userId/posts'),
+      Route('post', '/post/:postId(\\d+)'),
+    ])
+
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  test('does not warn about children that are ranked', () => {
+    Router([Route('user', '/:userId'), Route('userAdmin', '/admin')], {
+      rank: true,
+    })
+
+    expect(console.warn).not.toHaveBeenCalled()
+  })
+
+  test('warns about shadowed children of a Scope only once', () => {
+    Router([
+      Scope(
+        '/user',
+        Router([Route('user', '/:userId'), Route('userAdmin', '/admin')]),
+      ),
+    ])
+
+    expect(console.warn).toHaveBeenCalledTimes(1)
+  })
+
+  test('warns about children of a Scope shadowed by outer children', () => {
+    Router([
+      Route('user', '/user/:userId'),
+      Scope('/user', Router([Route('userAdmin', '/admin')])),
+    ])
+
+    expect(console.warn).toHaveBeenCalledTimes(1)
+  })
+})
+
+describe('router validation', () => {
+  test('validateRouter() returns no problems for a valid Router', () => {
+    expect(validateRouter(mockRouter)).toEqual([])
+  })
+
+  test('validateRouter() reports duplicate names', () => {
+    const duplicate = Route('home', '/home')
+    const router = Router([
+      Route('home', '/'),
+      duplicate,
+      Scope('/user', Router([Fallback('notFound')])),
+      Fallback('notFound'),
+    ])
+
+    expect(validateRouter(router)).toEqual([
+      { type: 'DUPLICATE_NAME', message: expect.any(String), child: duplicate },
+    ])
+  })
+
+  test('validateRouter() reports Redirects to unknown Routes', () => {
+    const redirect = Redirect('nonsense', '/old')
+    const router = Router([Route('home', '/'), redirect])
+
+    expect(validateRouter(router)).toEqual([
+      {
+        type: 'UNKNOWN_REDIRECT_TARGET',
+        message: expect.any(String),
+        child: redirect,
+      },
+    ])
+  })
+
+  test('validateRouter() reports Redirects missing params required by their Route', () => {
+    const redirect = Redirect('item', '/product')
+    const router = Router([
+      Route('item', '/item/:itemId/:tab?'),
+      redirect,
+      Redirect('item', '/product/:itemId'),
+    ])
+
+    expect(validateRouter(router)).toEqual([
+      {
+        type: 'MISSING_REDIRECT_PARAMS',
+        message: expect.stringContaining('itemId'),
+        child: redirect,
+      },
+    ])
+  })
+
+  test('validateRouter() reports Redirects that loop', () => {
+    const redirectA = Redirect('b', '/a')
+    const redirectB = Redirect('a', '/b')
+    const router = Router([
+      redirectA,
+      redirectB,
+      Route('a', '/a'),
+      Route('b', '/b'),
+      Route('c', '/c'),
+      Redirect('c', '/d'),
+    ])
+
+    expect(validateRouter(router)).toEqual([
+      { type: 'REDIRECT_LOOP', message: expect.any(String), child: redirectA },
+      { type: 'REDIRECT_LOOP', message: expect.any(String), child: redirectB },
+    ])
+  })
+
+  test('validateRouter() reports Redirects that loop to Routes with typed params', () => {
+    console.warn = jest.fn()
+
+    const redirect = Redirect('a', '/a/:id')
+    const router = Router([
+      redirect,
+      Route('a', '/a/:id', { params: { id: 'number' } }),
+    ])
+
+    expect(validateRouter(router)).toEqual([
+      { type: 'REDIRECT_LOOP', message: expect.any(String), child: redirect },
+    ])
+  })
+
+  test('validateRouter() does not call redirect functions', () => {
+    const to = jest.fn(() => 'a')
+
+    console.warn = jest.fn()
+
+    const router = Router([
+      Redirect('b', '/a'),
+      Redirect(to, '/b'),
+      Route('a', '/x'),
+      Route('b', '/b'),
+    ])
+
+    validateRouter(router)
+
+    expect(to).not.toHaveBeenCalled()
+  })
+
+  test('createMiddleware() throws a RouterConfigError for an invalid Router', () => {
+    const router = Router([Route('home', '/'), Route('home', '/home')])
+    const history = createMemoryHistory()
+    const middleware = createMiddleware(router, history)
+    let error
+
+    try {
+      configureStore([middleware])()
+    } catch (thrown) {
+      error = thrown
+    }
+
+    expect(error).toBeInstanceOf(RouterConfigError)
+    expect(error.problems).toHaveLength(1)
+  })
+
+  test('createMiddleware() does not validate when validation is disabled', () => {
+    const router = Router([Route('home', '/'), Route('home', '/home')])
+    const history = createMemoryHistory()
+    const middleware = createMiddleware(router, history, { validate: false })
+
+    expect(() => configureStore([middleware])()).not.toThrow()
+  })
+})
+
+describe('nested scopes', () => {
+  const settingsScope = Scope(
+    '/settings',
+    Router([Route('settings'), Fallback('settingsNotFound')]),
+  )
+  const profileScope = Scope(
+    '/profile',
+    Router([settingsScope, Route('profile', '/:profileId')]),
+  )
+  const accountScope = Scope('/account', Router([profileScope]))
+  const nestedRouter = Router([
+    Route('home', '/'),
+    accountScope,
+    Fallback('notFound'),
+  ])
+
+  const nestedTests = [
+    ['/account/profile/123', 'profile', { profileId: '123' }],
+    ['/account/profile/settings', 'settings', {}],
+    ['/account/profile/settings/nonsense', 'settingsNotFound', {}],
+    ['/account/nonsense', 'notFound', {}],
+  ]
+
+  nestedTests.forEach(([path, route, params]) => {
+    test(`dispatches ROUTE_CHANGED action when changed to '${path}'`, () => {
+      const { store, history } = mocks({ router: nestedRouter })
+
+      history.replace(path)
+
+      const [{ payload }] = store.getActions()
+
+      expect(payload).toEqual({ route, params, hash: '' })
+    })
+  })
+
+  test('changes location to a nested route', () => {
+    const { store, history } = mocks({ router: nestedRouter })
+
+    store.dispatch(replace('settings'))
+    expect(history.createHref(history.location)).toBe(
+      '/account/profile/settings',
+    )
+  })
+
+  test('match() matches on a Scope at every level', () => {
+    expect(match('settings', accountScope)).toBe(true)
+    expect(match('settings', profileScope)).toBe(true)
+    expect(match('settings', settingsScope)).toBe(true)
+    expect(match('profile', settingsScope)).toBe(false)
+  })
+
+  test('entered() and exited() work with nested Scopes', () => {
+    const { store } = mocks({ router: nestedRouter })
+
+    store.dispatch(replace('profile', { profileId: '123' }))
+    store.dispatch(replace('settings'))
+    store.dispatch(replace('home'))
+
+    const actions = store.getActions()
+
+    expect(actions.map(entered(settingsScope))).toEqual([false, true, false])
+    expect(actions.map(exited(profileScope))).toEqual([false, false, true])
+  })
+
+  test('paramsReducer() works with nested Scopes', () => {
+    const reducer = paramsReducer(profileScope, ({ profileId }) => profileId)
+    const { store } = mocks({ reducer, router: nestedRouter })
+
+    store.dispatch(replace('profile', { profileId: '123' }))
+    expect(store.getState()).toBe('123')
+    store.dispatch(replace('settings'))
+    expect(store.getState()).toBe(undefined)
+    store.dispatch(replace('home'))
+    expect(store.getState()).toBe(null)
+  })
+
+  test('activeScopes() returns the Scopes of a route from outermost to innermost', () => {
+    expect(activeScopes(nestedRouter, 'settings')).toEqual([
+      accountScope,
+      profileScope,
+      settingsScope,
+    ])
+    expect(activeScopes(nestedRouter, 'profile')).toEqual([
+      accountScope,
+      profileScope,
+    ])
+    expect(activeScopes(nestedRouter, 'home')).toEqual([])
+    expect(activeScopes(nestedRouter, 'nonsense')).toEqual([])
+  })
+})
+
 describe('side effects', () => {
   test('dispatching SYNC action dispatches ROUTE_CHANGED action for current location', () => {
     const historyOptions = { initialEntries: ['/item/123'] }
@@ -312,63 +898,1721 @@ describe('side effects', () => {
   })
 })
 
-describe('match error actions', () => {
-  test('navigating to route that does not exist dispatches ROUTE_NOT_MATCHED action', () => {
-    const { store } = mocks({ router: Router([]) })
-
-    store.dispatch(replace('nonsense'))
+describe('param updates', () => {
+  const searchMocks = () => {
+    const { store, history } = mocks()
 
-    const [{ type, payload, error, meta }] = store.getActions()
+    store.dispatch(
+      replace('search', { category: 'widgets', query: 'devices' }, '#items'),
+    )
+    store.clearActions()
 
-    expect(type).toEqual(ROUTE_NOT_MATCHED)
-    expect(error).toBe(true)
-    expect(payload).toBeInstanceOf(RouteMatchError)
-    expect(meta).toEqual({ route: 'nonsense', params: {}, hash: '' })
-  })
+    return { store, history }
+  }
 
-  test('navigating to route with invalid params dispatches ROUTE_NOT_MATCHED action', () => {
-    const { store } = mocks()
+  test('updateParams() merges params into the current params', () => {
+    const { store, history } = searchMocks()
 
-    store.dispatch(replace('item'))
+    store.dispatch(updateParams({ page: '2' }))
 
-    const [{ type, payload, error, meta }] = store.getActions()
+    const [{ type, payload }] = store.getActions()
 
-    expect(type).toEqual(ROUTE_NOT_MATCHED)
-    expect(error).toBe(true)
-    expect(payload).toBeInstanceOf(RouteMatchError)
-    expect(meta).toEqual({ route: 'item', params: {}, hash: '' })
+    expect(history.action).toBe('PUSH')
+    expect(type).toBe(ROUTE_CHANGED)
+    expect(payload).toEqual({
+      route: 'search',
+      params: { category: 'widgets', query: 'devices', page: '2' },
+      hash: '#items',
+    })
   })
 
-  test('changing to location that does not match a route dispatches LOCATION_NOT_MATCHED action', () => {
-    const { store, history } = mocks({ router: Router([]) })
+  test('updateParams() does not write defaulted params into the location', () => {
+    const router = Router([
+      Route('s', '/s', { params: { page: { type: 'number', default: 1 } } }),
+    ])
+    const historyOptions = { initialEntries: ['/s?page=3&q=a'] }
+    const { store, history } = mocks({ router, historyOptions })
 
-    history.replace('/nonsense')
+    store.dispatch(sync())
+    store.dispatch(updateParams({ q: 'b' }, { reset: ['page'] }))
+    expect(history.location.search).toBe('?q=b')
+    store.dispatch(updateParams({ q: 'c' }))
+    expect(history.location.search).toBe('?q=c')
+    expect(store.getActions()[2].payload.params).toEqual({ q: 'c', page: 1 })
+  })
 
-    const [{ type, payload, error, meta }] = store.getActions()
+  test('updateParams() can replace the current location', () => {
+    const { store, history } = searchMocks()
 
-    expect(type).toEqual(LOCATION_NOT_MATCHED)
-    expect(error).toBe(true)
-    expect(payload).toBeInstanceOf(LocationMatchError)
-    expect(meta).toMatchObject({ location: { pathname: '/nonsense' } })
-  })
-})
+    store.dispatch(updateParams({ page: '2' }, { replace: true }))
 
-describe('an error is thrown', () => {
-  test('when a route is not passed to a router configuration function', () => {
-    expect(() => Route()).toThrow(TypeError)
-    expect(() => Redirect()).toThrow(TypeError)
-    expect(() => Fallback()).toThrow(TypeError)
+    expect(history.action).toBe('REPLACE')
+    expect(history.length).toBe(1)
   })
 
-  test('when a non-string path is passed to a router configuration function', () => {
-    expect(() => Route('test', 123)).toThrow(TypeError)
-    expect(() => Redirect('test', 123)).toThrow(TypeError)
-    expect(() => Fallback('test', 123)).toThrow(TypeError)
-    expect(() => Scope(123, Router([]))).toThrow(TypeError)
-  })
+  test('updateParams() removes params that are set to undefined', () => {
+    const { store } = searchMocks()
 
-  test('when a Router is not passed to a Scope', () => {
-    expect(() => Scope('/test')).toThrow(TypeError)
+    store.dispatch(updateParams({ query: undefined }))
+
+    expect(store.getActions()[0].payload.params).toEqual({
+      category: 'widgets',
+    })
+  })
+
+  test('updateParams() resets params that are not being updated', () => {
+    const { store } = searchMocks()
+
+    store.dispatch(updateParams({ page: '3' }))
+    store.dispatch(updateParams({ query: 'gadgets' }, { reset: ['page'] }))
+    store.dispatch(updateParams({ page: '2' }, { reset: ['page'] }))
+
+    const [, { payload: reset }, { payload: kept }] = store.getActions()
+
+    expect(reset.params).toEqual({ category: 'widgets', query: 'gadgets' })
+    expect(kept.params).toEqual({
+      category: 'widgets',
+      query: 'gadgets',
+      page: '2',
+    })
+  })
+
+  test('removeParams() removes params from the current params', () => {
+    const { store, history } = searchMocks()
+
+    store.dispatch(removeParams(['query', 'category'], { replace: true }))
+
+    expect(history.action).toBe('REPLACE')
+    expect(history.location.pathname).toBe('/search')
+    expect(store.getActions()[0].payload.params).toEqual({})
+  })
+
+  test('updateParams() dispatches ROUTE_NOT_MATCHED without a current route', () => {
+    const { store } = mocks()
+
+    store.dispatch(updateParams({ page: '2' }))
+
+    const [{ type, payload }] = store.getActions()
+
+    expect(type).toBe(ROUTE_NOT_MATCHED)
+    expect(payload).toBeInstanceOf(RouteMatchError)
+  })
+})
+
+describe('navigation meta', () => {
+  test('ROUTE_CHANGED meta reports a PUSH', () => {
+    const { store, history } = mocks()
+
+    store.dispatch(push('cart'))
+
+    const [{ meta }] = store.getActions()
+
+    expect(meta).toEqual({
+      previous: undefined,
+      routeMeta: {},
+      navigation: 'PUSH',
+      key: history.location.key,
+      location: history.location,
+      redirected: false,
+    })
+  })
+
+  test('ROUTE_CHANGED meta reports a REPLACE', () => {
+    const { store } = mocks()
+
+    store.dispatch(replace('cart'))
+
+    expect(store.getActions()[0].meta.navigation).toBe('REPLACE')
+  })
+
+  test('ROUTE_CHANGED meta reports a POP', () => {
+    const { store, history } = mocks({
+      historyOptions: { initialEntries: ['/', '/cart'], initialIndex: 1 },
+    })
+
+    store.dispatch(goBack())
+
+    const [{ meta }] = store.getActions()
+
+    expect(meta.navigation).toBe('POP')
+    expect(meta.key).toBe(history.entries[0].key)
+  })
+
+  test('ROUTE_CHANGED meta reports a SYNC', () => {
+    const { store } = mocks()
+
+    store.dispatch(sync())
+
+    expect(store.getActions()[0].meta.navigation).toBe('SYNC')
+  })
+
+  test('ROUTE_CHANGED meta reports a REDIRECT', () => {
+    const { store, history } = mocks()
+
+    store.dispatch(push('cart'))
+    history.push('/product/123')
+
+    const [, { meta }] = store.getActions()
+
+    expect(meta).toMatchObject({
+      previous: { route: 'cart' },
+      navigation: 'REDIRECT',
+      location: { pathname: '/item/123' },
+      redirected: true,
+    })
+  })
+
+  test('ROUTE_CHANGED meta does not report a REDIRECT after one', () => {
+    const { store, history } = mocks()
+
+    history.push('/product/123')
+    store.dispatch(push('cart'))
+
+    const [, { meta }] = store.getActions()
+
+    expect(meta.navigation).toBe('PUSH')
+    expect(meta.redirected).toBe(false)
+  })
+})
+
+describe('location state', () => {
+  test('push() passes location state to the history', () => {
+    const { store, history } = mocks()
+
+    store.dispatch(push('cart', {}, '', { from: 'search' }))
+
+    const [{ type, payload }] = store.getActions()
+
+    expect(history.action).toBe('PUSH')
+    expect(history.location.state).toEqual({ from: 'search' })
+    expect(type).toBe(ROUTE_CHANGED)
+    expect(payload).toEqual({
+      route: 'cart',
+      params: {},
+      hash: '',
+      state: { from: 'search' },
+    })
+  })
+
+  test('replace() passes location state to the history', () => {
+    const { store, history } = mocks()
+
+    store.dispatch(replace('cart', {}, '', { modal: true }))
+
+    expect(history.action).toBe('REPLACE')
+    expect(history.location.state).toEqual({ modal: true })
+    expect(store.getActions()[0].payload.state).toEqual({ modal: true })
+  })
+
+  test('location state is kept when following a Redirect', () => {
+    const { store, history } = mocks()
+
+    history.push('/product/123', { from: 'search' })
+
+    expect(history.location.pathname).toBe('/item/123')
+    expect(store.getActions()[0].payload.state).toEqual({ from: 'search' })
+  })
+
+  test('routeReducer() stores the location state', () => {
+    const reducer = combineReducers({ routing: routeReducer })
+    const { store } = mocks({ reducer })
+
+    store.dispatch(push('cart', {}, '', { from: 'search' }))
+
+    expect(store.getState().routing.state).toEqual({ from: 'search' })
+  })
+})
+
+describe('redirects', () => {
+  const redirectRouter = Router([
+    Route('item', '/item/:itemId'),
+    Redirect(
+      ({ productId, ref, ...params }) => ({
+        route: 'item',
+        params: { ...params, itemId: productId, source: ref },
+      }),
+      '/product/:productId',
+    ),
+    Redirect(() => 'item', '/goods/:itemId'),
+    Redirect(() => 'nonsense', '/broken'),
+    Redirect('item', '/old/:itemId', { preserveQuery: false }),
+    Redirect('item', '/older/:itemId', { preserveHash: false }),
+    Redirect('https://example.com/help', '/help'),
+  ])
+
+  test('Redirect function can map matched params to a route', () => {
+    const { store, history } = mocks({ router: redirectRouter })
+
+    history.push('/product/123?ref=email&color=red#reviews')
+
+    expect(history.location).toMatchObject({
+      pathname: '/item/123',
+      search: '?color=red&source=email',
+      hash: '#reviews',
+    })
+    expect(store.getActions()[0].payload).toEqual({
+      route: 'item',
+      params: { itemId: '123', color: 'red', source: 'email' },
+      hash: '#reviews',
+    })
+  })
+
+  test('Redirect function can return a route name', () => {
+    const { store, history } = mocks({ router: redirectRouter })
+
+    history.push('/goods/123?color=red')
+
+    expect(store.getActions()[0].payload).toEqual({
+      route: 'item',
+      params: { itemId: '123', color: 'red' },
+      hash: '',
+    })
+  })
+
+  test('Redirect function returning an unknown route dispatches ROUTE_NOT_MATCHED', () => {
+    const { store, history } = mocks({
+      router: redirectRouter,
+      options: { validate: false },
+    })
+
+    history.push('/broken')
+
+    const [{ type, meta }] = store.getActions()
+
+    expect(type).toBe(ROUTE_NOT_MATCHED)
+    expect(meta.route).toBe('nonsense')
+  })
+
+  test('Redirect can strip the query', () => {
+    const { store, history } = mocks({ router: redirectRouter })
+
+    history.push('/old/123?color=red#reviews')
+
+    expect(history.location.search).toBe('')
+    expect(store.getActions()[0].payload).toEqual({
+      route: 'item',
+      params: { itemId: '123' },
+      hash: '#reviews',
+    })
+  })
+
+  test('Redirect can strip the hash', () => {
+    const { store, history } = mocks({ router: redirectRouter })
+
+    history.push('/older/123?color=red#reviews')
+
+    expect(history.location.hash).toBe('')
+    expect(store.getActions()[0].payload).toEqual({
+      route: 'item',
+      params: { itemId: '123', color: 'red' },
+      hash: '',
+    })
+  })
+
+  test('Redirect params are decoded with its own param types', () => {
+    const to = jest.fn(() => 'item')
+    const router = Router([
+      Route('item', '/item/:itemId'),
+      Redirect(to, '/typed/:itemId', { params: { itemId: 'number' } }),
+    ])
+    const { history } = mocks({ router })
+
+    history.push('/typed/123')
+
+    expect(to).toHaveBeenCalledWith({ itemId: 123 }, '')
+  })
+
+  test('Redirect to an external URL calls the redirect option', () => {
+    const redirect = jest.fn()
+    const { store, history } = mocks({
+      router: redirectRouter,
+      options: { redirect },
+    })
+
+    history.push('/help')
+
+    expect(redirect).toHaveBeenCalledWith('https://example.com/help')
+    expect(store.getActions()).toEqual([])
+  })
+
+  test('resolveUrl() resolves a Redirect to an external URL', () => {
+    expect(resolveUrl(redirectRouter, '/help')).toEqual({
+      status: 301,
+      url: 'https://example.com/help',
+      action: null,
+    })
+  })
+
+  test('validateRouter() does not check function or external targets', () => {
+    const router = Router([
+      Redirect(() => 'nonsense', '/broken'),
+      Redirect('//example.com', '/external'),
+    ])
+
+    expect(validateRouter(router)).toEqual([])
+  })
+})
+
+describe('navigation guards', () => {
+  const guardedRouter = (options, router = mockRouter) =>
+    Router([Route('form', '/form', options), ...router.children])
+
+  test('canLeave returning false blocks navigation and dispatches NAVIGATION_BLOCKED action', () => {
+    const router = guardedRouter({ canLeave: () => false })
+    const historyOptions = { initialEntries: ['/form'] }
+    const { store, history } = mocks({ historyOptions, router })
+
+    store.dispatch(sync())
+    store.clearActions()
+    store.dispatch(push('cart'))
+
+    const [{ type, payload, meta }] = store.getActions()
+
+    expect(history.location.pathname).toBe('/form')
+    expect(type).toBe(NAVIGATION_BLOCKED)
+    expect(payload).toEqual({ route: 'cart', params: {}, hash: '' })
+    expect(meta).toMatchObject({
+      location: { pathname: '/cart' },
+      action: 'PUSH',
+    })
+  })
+
+  test('canEnter returning false blocks navigation', () => {
+    const router = guardedRouter({ canEnter: () => false })
+    const { store, history } = mocks({ router })
+
+    store.dispatch(push('form'))
+
+    expect(history.location.pathname).toBe('/')
+    expect(store.getActions().map(({ type }) => type)).toEqual([
+      NAVIGATION_BLOCKED,
+    ])
+  })
+
+  test('guards are passed the target route, the current route, and the state', () => {
+    const canEnter = jest.fn(() => true)
+    const router = guardedRouter({ canEnter })
+    const { store } = mocks({ router })
+
+    store.dispatch(replace('home'))
+    store.dispatch(push('form', { draft: '1' }))
+
+    expect(canEnter).toHaveBeenCalledWith(
+      { route: 'form', params: { draft: '1' }, hash: '' },
+      { route: 'home', params: {}, hash: '' },
+      store.getState(),
+    )
+  })
+
+  test('guards are checked against the target of a Redirect', () => {
+    const router = Router([
+      Route('form', '/form', { canEnter: () => false }),
+      Redirect('form', '/edit'),
+      Route('home', '/'),
+    ])
+    const { store, history } = mocks({ router })
+
+    history.push('/edit')
+
+    const [{ type, payload }] = store.getActions()
+
+    expect(history.location.pathname).toBe('/')
+    expect(type).toBe(NAVIGATION_BLOCKED)
+    expect(payload).toEqual({ route: 'form', params: {}, hash: '' })
+  })
+
+  test('async guards resolving to true allow navigation', () => {
+    const router = guardedRouter({ canEnter: () => Promise.resolve(true) })
+    const { store, history } = mocks({ router })
+
+    store.dispatch(push('form'))
+    expect(history.location.pathname).toBe('/')
+
+    return flushPromises().then(() => {
+      expect(history.location.pathname).toBe('/form')
+      expect(store.getActions()).toMatchObject([
+        { type: ROUTE_CHANGED, payload: { route: 'form' } },
+      ])
+    })
+  })
+
+  test('async guards resolving to false block navigation', () => {
+    const router = guardedRouter({ canEnter: () => Promise.resolve(false) })
+    const { store, history } = mocks({ router })
+
+    store.dispatch(push('form'))
+
+    return flushPromises().then(() => {
+      expect(history.location.pathname).toBe('/')
+      expect(store.getActions().map(({ type }) => type)).toEqual([
+        NAVIGATION_BLOCKED,
+      ])
+    })
+  })
+
+  test('async guards that reject block navigation', () => {
+    const router = guardedRouter({
+      canEnter: () => Promise.reject(new Error('boom')),
+    })
+    const { store, history } = mocks({ router })
+
+    store.dispatch(push('form'))
+
+    return flushPromises().then(() => {
+      expect(history.location.pathname).toBe('/')
+      expect(store.getActions().map(({ type }) => type)).toEqual([
+        NAVIGATION_BLOCKED,
+      ])
+    })
+  })
+
+  test('the history is only blocked while there are guards or blockers', () => {
+    const { store, history } = mocks()
+
+    console.error = jest.fn()
+    history.block('Are you sure?')()
+    store.dispatch(block('form'))
+    store.dispatch(unblock('form'))
+    history.block('Are you sure?')()
+
+    expect(console.error).not.toHaveBeenCalled()
+  })
+
+  test('dispatching BLOCK action blocks navigation until UNBLOCK action is dispatched', () => {
+    const { store, history } = mocks()
+
+    store.dispatch(block('form'))
+    store.dispatch(push('cart'))
+    expect(history.location.pathname).toBe('/')
+    store.dispatch(unblock('form'))
+    store.dispatch(push('cart'))
+    expect(history.location.pathname).toBe('/cart')
+  })
+
+  test('dispatching BLOCK action calls onBlocked when navigation is blocked', () => {
+    const { store } = mocks()
+    const onBlocked = jest.fn()
+
+    store.dispatch(block('form', onBlocked))
+    store.dispatch(push('cart'))
+
+    expect(onBlocked).toHaveBeenCalledWith(
+      expect.objectContaining({ type: NAVIGATION_BLOCKED }),
+    )
+  })
+
+  test('dispatching CONFIRM_NAVIGATION action resumes blocked navigation', () => {
+    const { store, history } = mocks()
+
+    store.dispatch(block('form'))
+    store.dispatch(push('cart'))
+    store.dispatch(confirmNavigation())
+
+    expect(history.location.pathname).toBe('/cart')
+    expect(history.length).toBe(2)
+  })
+
+  test('blocked history traversal does not change the route', () => {
+    const loader = jest.fn(() => Promise.resolve({}))
+    const router = Router([Route('a', '/a', { loader }), Route('b', '/b')])
+    const historyOptions = { initialEntries: ['/b', '/a'], initialIndex: 1 }
+    const { store, history } = mocks({ historyOptions, router })
+
+    store.dispatch(sync())
+    store.dispatch(block('form'))
+    store.clearActions()
+    store.dispatch(goBack())
+
+    expect(history.location.pathname).toBe('/a')
+    expect(store.getActions().map(({ type }) => type)).toEqual([
+      NAVIGATION_BLOCKED,
+    ])
+    expect(loader).toHaveBeenCalledTimes(1)
+  })
+
+  test('dispatching CONFIRM_NAVIGATION action resumes blocked history traversal', () => {
+    const initialEntries = ['/', '/cart', '/search']
+    const historyOptions = { initialEntries, initialIndex: 2 }
+    const { store, history } = mocks({ historyOptions })
+
+    store.dispatch(block('form'))
+    store.dispatch(go(-2))
+    expect(history.index).toBe(2)
+    store.dispatch(confirmNavigation())
+    expect(history.index).toBe(0)
+  })
+
+  test('dispatching CONFIRM_NAVIGATION action does not replay traversal to an unknown entry', () => {
+    const initialEntries = ['/', '/cart', '/search']
+    const memoryHistory = createMemoryHistory({
+      initialEntries,
+      initialIndex: 2,
+    })
+    const history = Object.create(memoryHistory, { entries: { value: null } })
+    const middleware = createMiddleware(mockRouter, history)
+    const store = configureStore([middleware])()
+
+    store.dispatch(block('form'))
+    store.dispatch(goBack())
+    store.dispatch(confirmNavigation())
+
+    expect(memoryHistory.index).toBe(2)
+    expect(memoryHistory.length).toBe(3)
+    expect(memoryHistory.location.pathname).toBe('/search')
+  })
+
+  test('dispatching CANCEL_NAVIGATION action discards blocked navigation', () => {
+    const { store, history } = mocks()
+
+    store.dispatch(block('form'))
+    store.dispatch(push('cart'))
+    store.dispatch(cancelNavigation())
+    store.dispatch(confirmNavigation())
+
+    expect(history.location.pathname).toBe('/')
+  })
+})
+
+describe('route loaders', () => {
+  const loaderRouter = loader =>
+    Router([Route('item', '/item/:itemId', { loader }), Route('cart', '/cart')])
+
+  test('dispatches ROUTE_LOADING and ROUTE_LOADED actions after ROUTE_CHANGED action', () => {
+    const loader = jest.fn(({ itemId }) => Promise.resolve({ id: itemId }))
+    const { store } = mocks({ router: loaderRouter(loader) })
+
+    store.dispatch(replace('item', { itemId: '123' }))
+
+    return flushPromises().then(() => {
+      const meta = { route: 'item', params: { itemId: '123' } }
+
+      expect(loader).toHaveBeenCalledWith({ itemId: '123' })
+      expect(store.getActions().slice(1)).toEqual([
+        { type: ROUTE_LOADING, meta },
+        { type: ROUTE_LOADED, payload: { id: '123' }, meta },
+      ])
+    })
+  })
+
+  test('dispatches ROUTE_LOAD_FAILED action when loader rejects', () => {
+    const error = new Error('Failed')
+    const loader = () => Promise.reject(error)
+    const { store } = mocks({ router: loaderRouter(loader) })
+
+    store.dispatch(replace('item', { itemId: '123' }))
+
+    return flushPromises().then(() => {
+      expect(store.getActions()[2]).toEqual({
+        type: ROUTE_LOAD_FAILED,
+        error: true,
+        payload: error,
+        meta: { route: 'item', params: { itemId: '123' } },
+      })
+    })
+  })
+
+  test('dispatches ROUTE_LOAD_FAILED action when loader throws', () => {
+    const error = new Error('Failed')
+    const loader = () => {
+      throw error
+    }
+    const { store } = mocks({ router: loaderRouter(loader) })
+
+    store.dispatch(replace('item', { itemId: '123' }))
+
+    return flushPromises().then(() => {
+      expect(store.getActions()[2]).toMatchObject({
+        type: ROUTE_LOAD_FAILED,
+        payload: error,
+      })
+    })
+  })
+
+  test('ignores stale loads when the route changes again', () => {
+    const loader = ({ itemId }) => Promise.resolve(itemId)
+    const { store } = mocks({ router: loaderRouter(loader) })
+
+    store.dispatch(replace('item', { itemId: '123' }))
+    store.dispatch(replace('item', { itemId: '456' }))
+    store.dispatch(replace('cart'))
+    store.dispatch(replace('item', { itemId: '789' }))
+
+    return flushPromises().then(() => {
+      const loaded = store
+        .getActions()
+        .filter(({ type }) => type === ROUTE_LOADED)
+
+      expect(loaded.map(({ payload }) => payload)).toEqual(['789'])
+    })
+  })
+
+  test('does not dispatch loading actions for routes without a loader', () => {
+    const { store } = mocks()
+
+    store.dispatch(replace('item', { itemId: '123' }))
+
+    return flushPromises().then(() => {
+      expect(store.getActions().map(({ type }) => type)).toEqual([
+        ROUTE_CHANGED,
+      ])
+    })
+  })
+})
+
+describe('route preloading', () => {
+  const preloadRouter = preload =>
+    Router([
+      Route('item', '/item/:itemId', { preload }),
+      Route('cart', '/cart'),
+    ])
+
+  test('calls preload when navigating to a route', () => {
+    const preload = jest.fn()
+    const { store } = mocks({ router: preloadRouter(preload) })
+
+    store.dispatch(push('item', { itemId: '123' }))
+    store.dispatch(replace('item', { itemId: '456' }))
+
+    expect(preload.mock.calls).toEqual([
+      [{ itemId: '123' }],
+      [{ itemId: '456' }],
+    ])
+  })
+
+  test('does not call preload when opening or changing the location', () => {
+    const preload = jest.fn()
+    const { store, history } = mocks({ router: preloadRouter(preload) })
+
+    store.dispatch(open('item', { itemId: '123' }))
+    history.push('/item/456')
+
+    expect(preload).not.toHaveBeenCalled()
+  })
+
+  test('ignores preload failures', () => {
+    const preload = jest.fn(() => Promise.reject(new Error('Failed')))
+    const { store, history } = mocks({ router: preloadRouter(preload) })
+
+    store.dispatch(push('item', { itemId: '123' }))
+
+    return flushPromises().then(() => {
+      expect(history.location.pathname).toBe('/item/123')
+      expect(store.getActions()[0].type).toBe(ROUTE_CHANGED)
+    })
+  })
+})
+
+describe('route prefetching', () => {
+  const prefetchRouter = options =>
+    Router([Route('item', '/item/:itemId', options), Route('cart', '/cart')])
+
+  test('prefetch() calls preload and loader once per location', () => {
+    const preload = jest.fn()
+    const loader = jest.fn(() => Promise.resolve({}))
+    const { store } = mocks({ router: prefetchRouter({ preload, loader }) })
+
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    store.dispatch(prefetch('item', { itemId: '456' }))
+
+    expect(preload.mock.calls).toEqual([
+      [{ itemId: '123' }],
+      [{ itemId: '456' }],
+    ])
+    expect(loader.mock.calls).toEqual([
+      [{ itemId: '123' }],
+      [{ itemId: '456' }],
+    ])
+    expect(store.getActions()).toEqual([])
+  })
+
+  test('navigating to a prefetched location uses the prefetched data', () => {
+    const loader = jest.fn(({ itemId }) => Promise.resolve({ id: itemId }))
+    const { store } = mocks({ router: prefetchRouter({ loader }) })
+
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    store.dispatch(push('item', { itemId: '123' }))
+
+    return flushPromises().then(() => {
+      expect(loader).toHaveBeenCalledTimes(1)
+      expect(store.getActions()[2]).toEqual({
+        type: ROUTE_LOADED,
+        payload: { id: '123' },
+        meta: { route: 'item', params: { itemId: '123' } },
+      })
+    })
+  })
+
+  test('prefetched data is only used once', () => {
+    const loader = jest.fn(() => Promise.resolve({}))
+    const { store } = mocks({ router: prefetchRouter({ loader }) })
+
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    store.dispatch(push('item', { itemId: '123' }))
+    store.dispatch(push('cart'))
+    store.dispatch(push('item', { itemId: '123' }))
+
+    expect(loader).toHaveBeenCalledTimes(2)
+  })
+
+  test('prefetched data is not used when the prefetch fails', () => {
+    const loader = jest
+      .fn()
+      .mockImplementationOnce(() => Promise.reject(new Error('Failed')))
+      .mockImplementation(({ itemId }) => Promise.resolve({ id: itemId }))
+    const { store } = mocks({ router: prefetchRouter({ loader }) })
+
+    store.dispatch(prefetch('item', { itemId: '123' }))
+
+    return flushPromises()
+      .then(() => {
+        store.dispatch(push('item', { itemId: '123' }))
+        return flushPromises()
+      })
+      .then(() => {
+        expect(loader).toHaveBeenCalledTimes(2)
+        expect(store.getActions()[2]).toMatchObject({
+          type: ROUTE_LOADED,
+          payload: { id: '123' },
+        })
+      })
+  })
+
+  test('prefetched data expires after the prefetch timeout', () => {
+    const loader = jest.fn(() => Promise.resolve({}))
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0)
+    const { store } = mocks({
+      router: prefetchRouter({ loader }),
+      options: { prefetchTimeout: 1000 },
+    })
+
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    now.mockReturnValue(1000)
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    now.mockReturnValue(2000)
+    store.dispatch(push('item', { itemId: '123' }))
+    now.mockRestore()
+
+    expect(loader).toHaveBeenCalledTimes(3)
+  })
+
+  test('cancelPrefetch() discards prefetched data', () => {
+    const loader = jest.fn(() => Promise.resolve({}))
+    const { store } = mocks({ router: prefetchRouter({ loader }) })
+
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    store.dispatch(cancelPrefetch('item', { itemId: '123' }))
+    store.dispatch(prefetch('item', { itemId: '123' }))
+    store.dispatch(cancelPrefetch('item', { itemId: '123' }))
+    store.dispatch(push('item', { itemId: '123' }))
+
+    expect(loader).toHaveBeenCalledTimes(3)
+  })
+
+  test('prefetch() ignores routes that do not match', () => {
+    const { store } = mocks()
+
+    store.dispatch(prefetch('nonsense'))
+
+    expect(store.getActions()).toEqual([])
+  })
+})
+
+describe('scroll restoration', () => {
+  const scrollMocks = ({ router, scrollTop = 0 } = {}) => {
+    const container = { scrollLeft: 0, scrollTop }
+    const { store, history } = mocks({
+      router,
+      options: { scroll: { container } },
+    })
+
+    return { store, history, container }
+  }
+
+  beforeEach(() => jest.useFakeTimers())
+  afterEach(() => jest.useRealTimers())
+
+  test('scrolls to the top after a PUSH or REPLACE', () => {
+    const { store, container } = scrollMocks({ scrollTop: 500 })
+
+    store.dispatch(push('cart'))
+    expect(container.scrollTop).toBe(500)
+    jest.runAllTimers()
+    expect(container.scrollTop).toBe(0)
+
+    container.scrollTop = 200
+    store.dispatch(replace('home'))
+    jest.runAllTimers()
+    expect(container.scrollTop).toBe(0)
+  })
+
+  test('restores the scroll position of a history entry after a POP', () => {
+    const { store, container } = scrollMocks({ scrollTop: 300 })
+
+    store.dispatch(push('cart'))
+    jest.runAllTimers()
+    container.scrollTop = 50
+    store.dispatch(goBack())
+    jest.runAllTimers()
+    expect(container.scrollTop).toBe(300)
+    store.dispatch(goForward())
+    jest.runAllTimers()
+    expect(container.scrollTop).toBe(50)
+  })
+
+  test('scrolls to the element named by the hash', () => {
+    const { store, container } = scrollMocks({ scrollTop: 300 })
+    const element = window.document.createElement('div')
+
+    element.id = 'items'
+    element.scrollIntoView = jest.fn()
+    window.document.body.appendChild(element)
+    store.dispatch(push('search', {}, '#items'))
+    jest.runAllTimers()
+    window.document.body.removeChild(element)
+
+    expect(element.scrollIntoView).toHaveBeenCalled()
+    expect(container.scrollTop).toBe(300)
+  })
+
+  test('does not scroll for routes that opt out', () => {
+    const router = Router([
+      Route('home', '/'),
+      Route('cart', '/cart', { scroll: false }),
+    ])
+    const { store, container } = scrollMocks({ router, scrollTop: 300 })
+
+    store.dispatch(push('cart'))
+    jest.runAllTimers()
+
+    expect(container.scrollTop).toBe(300)
+  })
+
+  test('does not scroll after a SYNC', () => {
+    const { store, container } = scrollMocks({ scrollTop: 300 })
+
+    store.dispatch(sync())
+    jest.runAllTimers()
+
+    expect(container.scrollTop).toBe(300)
+  })
+
+  test('scrolls the window by default', () => {
+    window.scrollTo = jest.fn()
+
+    const { store } = mocks({ options: { scroll: true } })
+
+    store.dispatch(push('cart'))
+    jest.runAllTimers()
+
+    expect(window.scrollTo).toHaveBeenCalledWith(0, 0)
+  })
+})
+
+describe('typed params', () => {
+  const upperCase = {
+    parse: value => value.toUpperCase(),
+    serialize: value => value.toLowerCase(),
+  }
+
+  const typedRouter = Router([
+    Route('item', '/item/:itemId', { params: { itemId: 'number' } }),
+    Redirect('item', '/product/:itemId'),
+    Route('search', '/search', {
+      params: {
+        page: { type: 'number', default: 1 },
+        inStock: 'boolean',
+        sort: { type: 'enum', values: ['price', 'name'] },
+        since: 'date',
+        tags: { type: 'array', of: 'number' },
+        filter: 'json',
+        code: upperCase,
+      },
+    }),
+    Route('report', '/report', {
+      params: { year: { type: 'number', required: true } },
+    }),
+  ])
+
+  const decodeTests = [
+    ['/item/123', 'item', { itemId: 123 }],
+    ['/product/123', 'item', { itemId: 123 }],
+    ['/search', 'search', { page: 1 }],
+    ['/search?page=2&inStock=true', 'search', { page: 2, inStock: true }],
+    ['/search?inStock', 'search', { page: 1, inStock: true }],
+    ['/search?sort=price', 'search', { page: 1, sort: 'price' }],
+    [
+      '/search?since=2020-01-01T00:00:00.000Z',
+      'search',
+      { page: 1, since: new Date('2020-01-01T00:00:00.000Z') },
+    ],
+    ['/search?tags=1', 'search', { page: 1, tags: [1] }],
+    ['/search?tags=1&tags=2', 'search', { page: 1, tags: [1, 2] }],
+    [
+      '/search?filter=%7B%22a%22%3A1%7D',
+      'search',
+      { page: 1, filter: { a: 1 } },
+    ],
+    ['/search?code=abc', 'search', { page: 1, code: 'ABC' }],
+    ['/search?other=abc', 'search', { page: 1, other: 'abc' }],
+  ]
+
+  decodeTests.forEach(([path, route, params]) => {
+    test(`decodes params when changed to '${path}'`, () => {
+      const { store, history } = mocks({ router: typedRouter })
+
+      history.replace(path)
+
+      const [{ type, payload }] = store.getActions()
+
+      expect(type).toBe(ROUTE_CHANGED)
+      expect(payload).toEqual({ route, params, hash: '' })
+    })
+  })
+
+  const invalidLocationTests = [
+    '/item/abc',
+    '/search?page=two',
+    '/search?inStock=yes',
+    '/search?sort=date',
+    '/search?since=yesterday',
+    '/search?tags=a',
+    '/search?filter=%7B',
+    '/report',
+  ]
+
+  invalidLocationTests.forEach(path => {
+    test(`dispatches LOCATION_NOT_MATCHED action when changed to '${path}'`, () => {
+      const { store, history } = mocks({ router: typedRouter })
+
+      history.replace(path)
+
+      const [{ type, payload }] = store.getActions()
+
+      expect(type).toBe(LOCATION_NOT_MATCHED)
+      expect(payload).toBeInstanceOf(LocationMatchError)
+    })
+  })
+
+  test('falls back to the next matching route when params are invalid', () => {
+    const router = Router([...typedRouter.children, Fallback('notFound')])
+    const { store, history } = mocks({ router })
+
+    history.replace('/item/abc')
+
+    const [{ type, payload }] = store.getActions()
+
+    expect(type).toBe(ROUTE_CHANGED)
+    expect(payload.route).toBe('notFound')
+  })
+
+  const encodeTests = [
+    ['item', { itemId: 123 }, '/item/123'],
+    ['search', { page: 2, inStock: false }, '/search?inStock=false&page=2'],
+    [
+      'search',
+      { since: new Date('2020-01-01T00:00:00.000Z') },
+      '/search?since=2020-01-01T00%3A00%3A00.000Z',
+    ],
+    ['search', { tags: [1, 2] }, '/search?tags=1&tags=2'],
+    ['search', { filter: { a: 1 } }, '/search?filter=%7B%22a%22%3A1%7D'],
+    ['search', { code: 'ABC' }, '/search?code=abc'],
+    ['report', { year: 2020 }, '/report?year=2020'],
+  ]
+
+  encodeTests.forEach(([route, params, path]) => {
+    test(`encodes params when navigating to '${path}'`, () => {
+      const { store, history } = mocks({ router: typedRouter })
+
+      store.dispatch(replace(route, params))
+      expect(history.createHref(history.location)).toBe(path)
+    })
+  })
+
+  const invalidRouteTests = [
+    ['item', { itemId: 'abc' }, 'itemId'],
+    ['search', { page: '2' }, 'page'],
+    ['search', { sort: 'date' }, 'sort'],
+    ['search', { since: 'yesterday' }, 'since'],
+    ['search', { tags: 1 }, 'tags'],
+    ['report', {}, 'year'],
+  ]
+
+  invalidRouteTests.forEach(([route, params, param]) => {
+    test(`dispatches ROUTE_NOT_MATCHED action when '${param}' param of '${route}' is invalid`, () => {
+      const { store } = mocks({ router: typedRouter })
+
+      store.dispatch(replace(route, params))
+
+      const [{ type, payload }] = store.getActions()
+
+      expect(type).toBe(ROUTE_NOT_MATCHED)
+      expect(payload).toBeInstanceOf(RouteMatchError)
+    })
+  })
+
+  test('an error is thrown when an invalid param type is passed to a Route', () => {
+    expect(() => Route('test', '', { params: { a: 'nonsense' } })).toThrow(
+      TypeError,
+    )
+    expect(() =>
+      Route('test', '', { params: { a: { type: 'enum' } } }),
+    ).toThrow(TypeError)
+  })
+})
+
+describe('query encoding', () => {
+  const queryRouter = Router(
+    [
+      Route('search', '/search', { params: { page: 'number' } }),
+      Route('legacySearch', '/legacy/search', {
+        query: { arrayFormat: 'comma' },
+      }),
+      Scope(
+        '/admin',
+        Router([Route('adminSearch', '/search')], {
+          query: { arrayFormat: 'index' },
+        }),
+      ),
+      Scope('/shop', Router([Route('shopSearch', '/search')])),
+    ],
+    { query: { arrayFormat: 'bracket', sort: false, parseNumbers: true } },
+  )
+
+  test('Router query options are used to encode and decode locations', () => {
+    const location = routeToLocation(queryRouter, 'search', {
+      tag: ['a', 'b'],
+      page: 2,
+      color: 'red',
+    })
+
+    expect(location.search).toBe('tag[]=a&tag[]=b&page=2&color=red')
+    expect(locationToRoute(queryRouter, location).params).toEqual({
+      tag: ['a', 'b'],
+      page: 2,
+      color: 'red',
+    })
+  })
+
+  test('Route query options override Router query options', () => {
+    const location = routeToLocation(queryRouter, 'legacySearch', {
+      tag: ['a', 'b'],
+    })
+
+    expect(location.search).toBe('tag=a,b')
+    expect(locationToRoute(queryRouter, location).params).toEqual({
+      tag: ['a', 'b'],
+    })
+  })
+
+  test('Scoped children use the query options of the nearest Router', () => {
+    const params = { tag: ['a', 'b'] }
+
+    expect(routeToLocation(queryRouter, 'adminSearch', params).search).toBe(
+      'tag[0]=a&tag[1]=b',
+    )
+    expect(routeToLocation(queryRouter, 'shopSearch', params).search).toBe(
+      'tag[]=a&tag[]=b',
+    )
+  })
+
+  test('a custom query encoder and decoder can be provided', () => {
+    const query = {
+      parse: search => JSON.parse(decodeURIComponent(search) || '{}'),
+      stringify: params => encodeURIComponent(JSON.stringify(params)),
+    }
+    const router = Router([Route('search', '/search')], { query })
+    const { store, history } = mocks({ router })
+
+    store.dispatch(push('search', { filter: { color: 'red' } }))
+
+    expect(history.location.search).toBe(
+      '?' + encodeURIComponent('{"filter":{"color":"red"}}'),
+    )
+    expect(store.getActions()[0].payload.params).toEqual({
+      filter: { color: 'red' },
+    })
+  })
+})
+
+describe('localized routes', () => {
+  const localizedRouter = Router([
+    Route('home', '/'),
+    Route(
+      'product',
+      { en: '/en/products/:id', de: '/de/produkte/:id' },
+      { params: { id: 'number' } },
+    ),
+    Scope(
+      '/shop',
+      Router([Route('cart', { en: '/en/cart', de: '/de/warenkorb' })]),
+    ),
+  ])
+
+  test('each localized path matches the same route with a locale param', () => {
+    expect(
+      locationToRoute(localizedRouter, { pathname: '/en/products/1' }),
+    ).toMatchObject({ params: { id: 1, locale: 'en' } })
+    expect(
+      locationToRoute(localizedRouter, { pathname: '/de/produkte/1' }),
+    ).toMatchObject({ params: { id: 1, locale: 'de' } })
+  })
+
+  test('the locale param selects the localized path', () => {
+    expect(
+      routeToLocation(localizedRouter, 'product', { id: 1, locale: 'de' }),
+    ).toMatchObject({ pathname: '/de/produkte/1', search: '' })
+  })
+
+  test('the first localized path is used without a locale param', () => {
+    expect(
+      routeToLocation(localizedRouter, 'product', { id: 1 }).pathname,
+    ).toBe('/en/products/1')
+  })
+
+  test('an unknown locale param does not match the route', () => {
+    const { store } = mocks({ router: localizedRouter })
+
+    expect(() =>
+      routeToLocation(localizedRouter, 'product', { id: 1, locale: 'fr' }),
+    ).toThrow(RouteMatchError)
+
+    store.dispatch(push('product', { id: 1, locale: 'fr' }))
+
+    expect(store.getActions()[0].type).toBe(ROUTE_NOT_MATCHED)
+  })
+
+  test('Scoped localized paths are prefixed with the Scope base', () => {
+    expect(
+      routeToLocation(localizedRouter, 'cart', { locale: 'de' }).pathname,
+    ).toBe('/shop/de/warenkorb')
+    expect(
+      locationToRoute(localizedRouter, { pathname: '/shop/en/cart' }).params,
+    ).toEqual({ locale: 'en' })
+  })
+
+  test('localized paths are not reported as duplicate names', () => {
+    expect(validateRouter(localizedRouter)).toEqual([])
+  })
+
+  test('getLocales() returns the locales of a route', () => {
+    expect(getLocales(localizedRouter, 'product')).toEqual(['en', 'de'])
+    expect(getLocales(localizedRouter, 'home')).toEqual([])
+  })
+
+  test('alternateUrls() returns the URL of a route in each locale', () => {
+    expect(
+      alternateUrls(localizedRouter, 'product', { id: 1 }, 'top'),
+    ).toEqual({ en: '/en/products/1#top', de: '/de/produkte/1#top' })
+    expect(alternateUrls(localizedRouter, 'home')).toEqual({})
+  })
+
+  test('navigating to a localized route keeps the current locale', () => {
+    const { store, history } = mocks({
+      router: localizedRouter,
+      historyOptions: { initialEntries: ['/de/produkte/1'] },
+    })
+
+    store.dispatch(sync())
+    store.dispatch(push('product', { id: 2 }))
+    store.dispatch(push('home'))
+
+    expect(history.entries.map(({ pathname }) => pathname)).toEqual([
+      '/de/produkte/1',
+      '/de/produkte/2',
+      '/',
+    ])
+  })
+})
+
+describe('route metadata', () => {
+  const metaRouter = Router([
+    Route('home', '/', { meta: { title: 'Home', layout: 'full' } }),
+    Route('item', '/item/:itemId', {
+      meta: { title: ({ itemId }) => `Item ${itemId}` },
+    }),
+    Route('cart', '/cart'),
+    Scope(
+      '/admin',
+      Router([
+        Route('adminUsers', '/users', { meta: { title: 'Users' } }),
+        Route('adminSettings', '/settings', { meta: { auth: 'owner' } }),
+      ]),
+      { meta: { auth: 'admin', layout: 'sidebar' } },
+    ),
+    Fallback('notFound', '', { meta: { title: 'Not Found' } }),
+  ])
+  const reducer = combineReducers({ routing: routeReducer })
+
+  afterEach(() => {
+    window.document.title = ''
+  })
+
+  test('ROUTE_CHANGED meta contains the metadata of the route', () => {
+    const { store } = mocks({ router: metaRouter })
+
+    store.dispatch(push('home'))
+    store.dispatch(push('cart'))
+
+    expect(store.getActions().map(({ meta }) => meta.routeMeta)).toEqual([
+      { title: 'Home', layout: 'full' },
+      {},
+    ])
+  })
+
+  test('Scope metadata is inherited and overridden by its children', () => {
+    const { store } = mocks({ router: metaRouter })
+
+    store.dispatch(push('adminUsers'))
+    store.dispatch(push('adminSettings'))
+
+    expect(store.getActions().map(({ meta }) => meta.routeMeta)).toEqual([
+      { auth: 'admin', layout: 'sidebar', title: 'Users' },
+      { auth: 'owner', layout: 'sidebar' },
+    ])
+  })
+
+  test('selectRouteMeta() selects the metadata of the current route', () => {
+    const { store, history } = mocks({ router: metaRouter, reducer })
+
+    expect(selectRouteMeta(store.getState())).toEqual({})
+    history.push('/nonsense')
+    expect(selectRouteMeta(store.getState())).toEqual({ title: 'Not Found' })
+  })
+
+  test('document title is not changed by default', () => {
+    const { store } = mocks({ router: metaRouter })
+
+    window.document.title = 'Shop'
+    store.dispatch(push('home'))
+
+    expect(window.document.title).toBe('Shop')
+  })
+
+  test('document title is set from the title metadata', () => {
+    const { store } = mocks({ router: metaRouter, options: { title: true } })
+
+    store.dispatch(push('home'))
+    expect(window.document.title).toBe('Home')
+    store.dispatch(push('item', { itemId: '123' }))
+    expect(window.document.title).toBe('Item 123')
+    store.dispatch(push('cart'))
+    expect(window.document.title).toBe('Item 123')
+  })
+
+  test('document title can be formatted', () => {
+    const title = jest.fn(routeTitle => `${routeTitle} | Shop`)
+    const { store } = mocks({ router: metaRouter, options: { title } })
+
+    store.dispatch(push('item', { itemId: '123' }))
+
+    expect(window.document.title).toBe('Item 123 | Shop')
+    expect(title).toHaveBeenCalledWith('Item 123', { itemId: '123' })
+  })
+})
+
+describe('breadcrumbs', () => {
+  const crumbRouter = Router([
+    Route('home', '/', { breadcrumb: 'Home' }),
+    Scope(
+      '/account',
+      Router([
+        Route('account', '', { breadcrumb: 'Overview' }),
+        Scope(
+          '/users',
+          Router([
+            Route('users'),
+            Route('user', '/:userId', {
+              breadcrumb: ({ userId }) => `User ${userId}`,
+            }),
+            Route('userSettings', '/:userId/settings'),
+          ]),
+          { breadcrumb: 'Users' },
+        ),
+      ]),
+      { breadcrumb: 'Account' },
+    ),
+    Scope('/help', Router([Route('faq', '/faq', { breadcrumb: 'FAQ' })]), {
+      breadcrumb: 'Help',
+    }),
+    Fallback('notFound', '', { breadcrumb: 'Not Found' }),
+  ])
+
+  test('breadcrumbs() returns the trail of Scopes and the route', () => {
+    expect(
+      breadcrumbs(crumbRouter, 'user', { userId: '42', tab: 'posts' }),
+    ).toEqual([
+      { route: 'account', params: {}, label: 'Account', href: '/account' },
+      { route: 'users', params: {}, label: 'Users', href: '/account/users' },
+      {
+        route: 'user',
+        params: { userId: '42', tab: 'posts' },
+        label: 'User 42',
+        href: '/account/users/42?tab=posts',
+      },
+    ])
+  })
+
+  test('breadcrumbs() links Scopes to their index route', () => {
+    expect(
+      breadcrumbs(crumbRouter, 'account').map(({ label }) => label),
+    ).toEqual(['Overview'])
+    expect(
+      breadcrumbs(crumbRouter, 'users').map(({ label }) => label),
+    ).toEqual(['Account', 'Users'])
+  })
+
+  test('breadcrumbs() skips routes without a breadcrumb', () => {
+    expect(
+      breadcrumbs(crumbRouter, 'userSettings', { userId: '42' }),
+    ).toMatchObject([{ route: 'account' }, { route: 'users' }])
+  })
+
+  test('breadcrumbs() does not link Scopes without an index route', () => {
+    expect(breadcrumbs(crumbRouter, 'faq')).toEqual([
+      { route: null, params: {}, label: 'Help', href: null },
+      { route: 'faq', params: {}, label: 'FAQ', href: '/help/faq' },
+    ])
+  })
+
+  test('breadcrumbs() does not link Fallbacks', () => {
+    expect(breadcrumbs(crumbRouter, 'notFound')).toEqual([
+      { route: 'notFound', params: {}, label: 'Not Found', href: null },
+    ])
+  })
+
+  test('breadcrumbs() only keeps the locale for localized ancestors', () => {
+    const router = Router([
+      Scope(
+        '/shop',
+        Router([
+          Route('shop'),
+          Route(
+            'product',
+            { en: '/en/products/:id', de: '/de/produkte/:id' },
+            { breadcrumb: 'Product' },
+          ),
+        ]),
+        { breadcrumb: 'Shop' },
+      ),
+      Scope(
+        '/help',
+        Router([
+          Route('help', { en: '', de: '/de' }),
+          Route('faq', { en: '/en/faq', de: '/de/faq' }),
+        ]),
+        { breadcrumb: 'Help' },
+      ),
+    ])
+
+    expect(
+      breadcrumbs(router, 'product', { id: '1', locale: 'de' }).map(
+        ({ href }) => href,
+      ),
+    ).toEqual(['/shop', '/shop/de/produkte/1'])
+    expect(breadcrumbs(router, 'faq', { locale: 'de' })).toEqual([
+      {
+        route: 'help',
+        params: { locale: 'de' },
+        label: 'Help',
+        href: '/help/de',
+      },
+    ])
+  })
+
+  test('breadcrumbs() returns an empty trail for an unknown route', () => {
+    expect(breadcrumbs(crumbRouter, 'nonsense')).toEqual([])
+  })
+})
+
+describe('route manifest', () => {
+  const manifestRouter = Router([
+    Route('home', '/'),
+    Route('search', '/search/:category?'),
+    Route('item', '/item/:itemId', { params: { itemId: 'number' } }),
+    Route('checkout', '/checkout', { sitemap: false }),
+    Route('about', { en: '/about', de: '/ueber-uns' }),
+    Redirect('item', '/product/:itemId'),
+    Scope('/user', Router([Route('user', '/:userId')])),
+    Fallback('notFound'),
+  ])
+
+  test('createManifest() lists every Route with its path and params', () => {
+    return createManifest(manifestRouter).then(manifest => {
+      expect(manifest).toEqual([
+        { route: 'home', path: '/', params: [], urls: ['/'] },
+        {
+          route: 'search',
+          path: '/search/:category?',
+          params: ['category'],
+          urls: ['/search'],
+        },
+        { route: 'item', path: '/item/:itemId', params: ['itemId'], urls: [] },
+        {
+          route: 'checkout',
+          path: '/checkout',
+          params: [],
+          urls: ['/checkout'],
+        },
+        {
+          route: 'about',
+          path: '/about',
+          params: [],
+          locale: 'en',
+          urls: ['/about'],
+        },
+        {
+          route: 'about',
+          path: '/ueber-uns',
+          params: [],
+          locale: 'de',
+          urls: ['/ueber-uns'],
+        },
+        { route: 'user', path: '/user/:userId', params: ['userId'], urls: [] },
+      ])
+    })
+  })
+
+  test('createManifest() expands routes with params providers', () => {
+    const user = jest.fn(() => Promise.resolve([{ userId: 'jane' }]))
+    const params = {
+      item: [{ itemId: 1 }, { itemId: 2 }],
+      user,
+      about: locale => [{ ref: locale }],
+    }
+
+    return createManifest(manifestRouter, { params }).then(manifest => {
+      const urls = manifest.map(entry => entry.urls)
+
+      expect(urls[2]).toEqual(['/item/1', '/item/2'])
+      expect(urls[4]).toEqual(['/about?ref=en'])
+      expect(urls[5]).toEqual(['/ueber-uns?ref=de'])
+      expect(urls[6]).toEqual(['/user/jane'])
+      expect(user).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  test('createManifest() rejects params that cannot be encoded', () => {
+    const params = { item: [{ itemId: 'abc' }] }
+
+    return expect(
+      createManifest(manifestRouter, { params }),
+    ).rejects.toBeInstanceOf(RouteMatchError)
+  })
+
+  test('createSitemap() creates a sitemap of the listed URLs', () => {
+    const params = { item: [{ itemId: 1 }], search: [{ q: 'a&b' }] }
+    const sitemap = createSitemap(manifestRouter, {
+      baseUrl: 'https://example.com/',
+      params,
+    })
+
+    return sitemap.then(xml => {
+      expect(xml).toBe(
+        [
+          '<?xml version="1.0" encoding="UTF-8"?>',
+          '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+          '  <url><loc>https://example.com/</loc></url>',
+          '  <url><loc>https://example.com/search?q=a%26b</loc></url>',
+          '  <url><loc>https://example.com/item/1</loc></url>',
+          '  <url><loc>https://example.com/about</loc></url>',
+          '  <url><loc>https://example.com/ueber-uns</loc></url>',
+          '</urlset>',
+          '',
+        ].join('\n'),
+      )
+    })
+  })
+
+  test('createSitemap() escapes URLs', () => {
+    const params = { search: [{ q: 'a', r: 'b' }] }
+    const sitemap = createSitemap(manifestRouter, {
+      baseUrl: 'https://example.com',
+      params,
+    })
+
+    return sitemap.then(xml => {
+      expect(xml).toContain('<loc>https://example.com/search?q=a&amp;r=b</loc>')
+    })
+  })
+
+  test('createSitemap() requires a base URL', () => {
+    expect(() => createSitemap(manifestRouter)).toThrow(TypeError)
+  })
+})
+
+describe('server rendering', () => {
+  test('resolveUrl() resolves a URL to a ROUTE_CHANGED action', () => {
+    const { status, url, action } = resolveUrl(
+      mockRouter,
+      '/search/widgets?query=devices#items',
+    )
+
+    expect(status).toBe(200)
+    expect(url).toBe('/search/widgets?query=devices#items')
+    expect(action).toEqual({
+      type: ROUTE_CHANGED,
+      payload: {
+        route: 'search',
+        params: { category: 'widgets', query: 'devices' },
+        hash: '#items',
+      },
+      meta: {
+        previous: undefined,
+        routeMeta: {},
+        navigation: 'SYNC',
+        key: undefined,
+        location: {
+          pathname: '/search/widgets',
+          search: '?query=devices',
+          hash: '#items',
+        },
+        redirected: false,
+      },
+    })
+  })
+
+  test('resolveUrl() follows Redirects', () => {
+    const { status, url, action } = resolveUrl(mockRouter, '/account/456')
+
+    expect(status).toBe(301)
+    expect(url).toBe('/user/456')
+    expect(action.payload).toEqual({
+      route: 'user',
+      params: { userId: '456' },
+      hash: '',
+    })
+    expect(action.meta).toMatchObject({
+      navigation: 'REDIRECT',
+      redirected: true,
+    })
+  })
+
+  test('resolveUrl() reports a Fallback as not found', () => {
+    const { status, url, action } = resolveUrl(mockRouter, '/nonsense')
+
+    expect(status).toBe(404)
+    expect(url).toBe('/nonsense')
+    expect(action.payload.route).toBe('notFound')
+  })
+
+  test('resolveUrl() resolves an unmatched URL to a LOCATION_NOT_MATCHED action', () => {
+    const { status, action } = resolveUrl(Router([]), '/nonsense')
+
+    expect(status).toBe(404)
+    expect(action.type).toBe(LOCATION_NOT_MATCHED)
+    expect(action.payload).toBeInstanceOf(LocationMatchError)
+  })
+
+  test('resolveUrl() throws when Redirects loop', () => {
+    const router = Router([
+      Redirect('b', '/a'),
+      Redirect('a', '/b'),
+      Route('a', '/a'),
+      Route('b', '/b'),
+    ])
+
+    expect(() => resolveUrl(router, '/a')).toThrow('Redirect loop')
+  })
+
+  test('createStaticHistory() creates a history for a URL', () => {
+    const history = createStaticHistory('/search?query=devices')
+
+    expect(history.location).toMatchObject({
+      pathname: '/search',
+      search: '?query=devices',
+    })
+    expect(history.createHref({ pathname: '/cart', hash: '#items' })).toBe(
+      '/cart#items',
+    )
+    expect(() => history.push('/cart')).toThrow()
+  })
+
+  test('a static history can be used with the middleware', () => {
+    const history = createStaticHistory('/item/123')
+    const store = configureStore([createMiddleware(mockRouter, history)])()
+
+    store.dispatch(sync())
+
+    const [{ payload }] = store.getActions()
+
+    expect(payload).toEqual({
+      route: 'item',
+      params: { itemId: '123' },
+      hash: '',
+    })
+  })
+
+  test('dispatching OPEN action calls the open option', () => {
+    const history = createMemoryHistory()
+    const openWindow = jest.fn()
+    const options = { open: openWindow }
+    const store = configureStore([
+      createMiddleware(mockRouter, history, options),
+    ])()
+
+    store.dispatch(open('item', { itemId: '123' }))
+    expect(openWindow).toHaveBeenCalledWith('/item/123')
+  })
+})
+
+describe('match error actions', () => {
+  test('navigating to route that does not exist dispatches ROUTE_NOT_MATCHED action', () => {
+    const { store } = mocks({ router: Router([]) })
+
+    store.dispatch(replace('nonsense'))
+
+    const [{ type, payload, error, meta }] = store.getActions()
+
+    expect(type).toEqual(ROUTE_NOT_MATCHED)
+    expect(error).toBe(true)
+    expect(payload).toBeInstanceOf(RouteMatchError)
+    expect(meta).toEqual({ route: 'nonsense', params: {}, hash: '' })
+  })
+
+  test('navigating to route with invalid params dispatches ROUTE_NOT_MATCHED action', () => {
+    const { store } = mocks()
+
+    store.dispatch(replace('item'))
+
+    const [{ type, payload, error, meta }] = store.getActions()
+
+    expect(type).toEqual(ROUTE_NOT_MATCHED)
+    expect(error).toBe(true)
+    expect(payload).toBeInstanceOf(RouteMatchError)
+    expect(meta).toEqual({ route: 'item', params: {}, hash: '' })
+  })
+
+  test('changing to location that does not match a route dispatches LOCATION_NOT_MATCHED action', () => {
+    const { store, history } = mocks({ router: Router([]) })
+
+    history.replace('/nonsense')
+
+    const [{ type, payload, error, meta }] = store.getActions()
+
+    expect(type).toEqual(LOCATION_NOT_MATCHED)
+    expect(error).toBe(true)
+    expect(payload).toBeInstanceOf(LocationMatchError)
+    expect(meta).toMatchObject({ location: { pathname: '/nonsense' } })
+  })
+})
+
+describe('an error is thrown', () => {
+  test('when a route is not passed to a router configuration function', () => {
+    expect(() => Route()).toThrow(TypeError)
+    expect(() => Redirect()).toThrow(TypeError)
+    expect(() => Fallback()).toThrow(TypeError)
+  })
+
+  test('when a non-string path is passed to a router configuration function', () => {
+    expect(() => Route('test', 123)).toThrow(TypeError)
+    expect(() => Redirect('test', 123)).toThrow(TypeError)
+    expect(() => Fallback('test', 123)).toThrow(TypeError)
+    expect(() => Scope(123, Router([]))).toThrow(TypeError)
+  })
+
+  test('when a Router is not passed to a Scope', () => {
+    expect(() => Scope('/test')).toThrow(TypeError)
   })
 
   test('when invalid children are passed to a Router', () => {
@@ -378,6 +2622,14 @@ describe('an error is thrown', () => {
   test('when an invalid child is passed to a Router', () => {
     expect(() => Router(['nonsense'])).toThrow(TypeError)
   })
+
+  test('when an invalid child is passed to a Scope', () => {
+    const router = Router([])
+
+    router.children.push('nonsense')
+
+    expect(() => Scope('/test', router)).toThrow(TypeError)
+  })
 })
 
 describe('changing the location', () => {